@@ -36,34 +36,40 @@ IMG_COL_W = (CONTENT_W - IMG_GAP) / 2
 MAX_IMG_H = 3.4 * inch  # ~15% smaller than before
 SINGLE_IMG_MAX_H = 4.7 * inch  # for items with only 1 image
 
-# Bundle definitions: (bundle_id, [individual item IDs])
-BUNDLE_GROUPS = [
-    ("item-076", ["item-054", "item-055", "item-056", "item-057", "item-059"]),  # Tate C&B
-    ("item-068", ["item-013", "item-014", "item-015", "item-016"]),              # Modernica grey
-    ("item-073", ["item-021", "item-041"]),                                       # FLOYD + mattress #1
-    ("item-074", ["item-022", "item-042"]),                                       # FLOYD + mattress #2
-    ("item-069", ["item-008", "item-009", "item-010"]),                           # Bubble Club
-    ("item-075", ["item-017", "item-018"]),                                       # Cowhide rugs
-    ("item-072", ["item-048", "item-049"]),                                       # Varnado armchairs
-    ("item-070", ["item-064", "item-065"]),                                       # White desk + chair
-    ("item-071", ["item-060", "item-061"]),                                       # Fireplace set
-]
-
-BUNDLE_IDS = {bg[0] for bg in BUNDLE_GROUPS}
-BUNDLED_INDIVIDUAL_IDS = set()
-for _, ids in BUNDLE_GROUPS:
-    BUNDLED_INDIVIDUAL_IDS.update(ids)
+def bundle_groups(items):
+    """Return (bundle_id, [member IDs]) for every item with bundleItems."""
+    return [(i["id"], i["bundleItems"]) for i in items if i.get("bundleItems")]
+
+
+def format_dimensions(item):
+    """Size and weight line, e.g. '84" W × 36" D × 30" H (213 × 91 × 76 cm)  ·  45 lb'."""
+    parts, metric = [], []
+    for field in ("width", "depth", "height"):
+        value = item.get(field)
+        if isinstance(value, (int, float)) and value > 0:
+            parts.append(f'{value:g}" {field[0].upper()}')
+            metric.append(f"{round(value * 2.54)}")
+    text = f'{" × ".join(parts)} ({" × ".join(metric)} cm)' if parts else ""
+    weight = item.get("weight")
+    if isinstance(weight, (int, float)) and weight > 0:
+        weight_text = f"{weight:g} lb ({round(weight * 0.45359237)} kg)"
+        text = f"{text}  ·  {weight_text}" if text else weight_text
+    return text
 
 
 def load_data():
     """Build an interleaved item list sorted by price descending."""
     with open(DATA_FILE) as f:
         data = json.load(f)
-    visible = {i["id"]: i for i in data["items"] if not i.get("hidden", False)}
+    visible = {i["id"]: i for i in data["items"]
+               if not i.get("hidden", False) and not i.get("deletedAt")}
+
+    groups = bundle_groups(visible.values())
+    bundle_ids = {bundle_id for bundle_id, _ in groups}
 
     bundle_lookup = {}
     bundle_data = {}
-    for bundle_id, individual_ids in BUNDLE_GROUPS:
+    for bundle_id, individual_ids in groups:
         if bundle_id not in visible:
             continue
         individuals = [visible[iid] for iid in individual_ids if iid in visible]
@@ -73,7 +79,7 @@ def load_data():
             if iid in visible:
                 bundle_lookup[iid] = bundle_id
 
-    all_items = [v for k, v in visible.items() if k not in BUNDLE_IDS]
+    all_items = [v for k, v in visible.items() if k not in bundle_ids]
     all_items.sort(key=lambda x: x.get("price", 0), reverse=True)
 
     sequence = []
@@ -346,6 +352,11 @@ def build_item_story(item, styles, idx, total, no_price=False):
         clean_desc = desc_text.replace("\n\n", "<br/><br/>").replace("\n", "<br/>")
         story.append(Paragraph(clean_desc, styles["desc"]))
 
+    # ── Dimensions ──────────────────────────────────────────────────────
+    dimensions = format_dimensions(item)
+    if dimensions:
+        story.append(Paragraph(f"<b>Size:</b> {dimensions}", styles["desc"]))
+
     # ── Product Link (no-price mode only) ──────────────────────────────
     product_link = item.get("productLink", "")
     if no_price and product_link:
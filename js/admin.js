@@ -16,8 +16,42 @@ const AdminPanel = {
   uploadedImages: [],
   visibilityFilter: 'all',
   searchQuery: '',
+  searchHighlight: '', // free text and phrases from searchQuery, for <mark>
+  sortBy: null,
+  sortOrder: 'asc',
   selectedItems: new Set(),
   currentTableItems: [], // ordered list of item IDs as shown in table
+  bundleMembers: [], // member IDs picked in the item form
+  dimensionUnit: 'in',
+  weightUnit: 'lb',
+
+  // Search also matches IDs in the admin
+  SEARCH_FIELDS: { ...FurnitureData.SEARCH_WEIGHTS, id: 1 },
+
+  // History labels for FurnitureData actions
+  ACTION_LABELS: {
+    add: 'Added',
+    edit: 'Edited',
+    update: 'Updated',
+    delete: 'Deleted',
+    trash: 'Moved to trash',
+    restore: 'Restored from trash',
+    duplicate: 'Duplicated',
+    status: 'Status changed',
+    visibility: 'Visibility changed',
+    'best-offer': 'Best Offer toggled',
+    'bulk-best-offer': 'Best Offer toggled (bulk)',
+    'bulk-assign': 'Category/room/tags assigned (bulk)',
+    markdown: 'Marked down',
+    'markdown-revert': 'Markdown reverted',
+    import: 'Imported',
+    sync: 'Synced from published',
+    publish: 'Published',
+    'resolve-conflict': 'Conflict resolved',
+    revert: 'Reverted',
+    undo: 'Undo',
+    redo: 'Redo'
+  },
 
   /**
    * Initialize the admin panel
@@ -28,8 +62,12 @@ const AdminPanel = {
       return;
     }
     await FurnitureData.init();
+    await this.runDueMarkdowns();
+    await this.restoreTableState();
     this.showAdminPanel();
     this.loadItemsTable();
+    this.renderSavedViews();
+    this.renderConflicts();
     this.attachEventListeners();
   },
 
@@ -56,8 +94,12 @@ const AdminPanel = {
       sessionStorage.setItem(this.AUTH_KEY, 'true');
       errorMsg.style.display = 'none';
       await FurnitureData.init();
+      await this.runDueMarkdowns();
+      await this.restoreTableState();
       this.showAdminPanel();
       this.loadItemsTable();
+      this.renderSavedViews();
+      this.renderConflicts();
       this.attachEventListeners();
     } else {
       errorMsg.style.display = 'block';
@@ -79,7 +121,24 @@ const AdminPanel = {
 
   attachEventListeners() {
     document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
+    document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+    document.getElementById('redoBtn').addEventListener('click', () => this.redo());
     document.getElementById('addNewBtn').addEventListener('click', () => this.showItemForm());
+    document.getElementById('bundleMemberSearch').addEventListener('input', () => this.renderBundlePicker());
+    document.getElementById('autoDiscountToggle').addEventListener('change', (e) => FurnitureData.setAutoDiscount(e.target.checked));
+    document.getElementById('dimensionUnit').addEventListener('change', (e) => this.changeDimensionUnit(e.target.value));
+    document.getElementById('weightUnit').addEventListener('change', (e) => this.changeWeightUnit(e.target.value));
+    document.getElementById('itemPrice').addEventListener('input', () => this.updateBundlePricing());
+    document.getElementById('applyBundleDiscountBtn').addEventListener('click', () => this.applyBundleDiscount());
+    document.getElementById('showMarkdownsBtn').addEventListener('click', () => this.showMarkdowns());
+    document.getElementById('hideMarkdownsBtn').addEventListener('click', () => this.hideMarkdowns());
+    document.getElementById('applyMarkdownsBtn').addEventListener('click', () => this.applyMarkdownsNow());
+    document.getElementById('addMarkdownRuleBtn').addEventListener('click', () => this.addMarkdownRule());
+    document.getElementById('markdownTrigger').addEventListener('change', () => this.updateMarkdownForm());
+    document.getElementById('markdownAction').addEventListener('change', () => this.updateMarkdownForm());
+    document.getElementById('showTrashBtn').addEventListener('click', () => this.showTrash());
+    document.getElementById('hideTrashBtn').addEventListener('click', () => this.hideTrash());
+    document.getElementById('emptyTrashBtn').addEventListener('click', () => this.emptyTrash());
     document.getElementById('saveItemBtn').addEventListener('click', () => this.saveItem());
     document.getElementById('saveNextBtn').addEventListener('click', () => this.saveAndEditNext());
     document.getElementById('cancelFormBtn').addEventListener('click', () => this.hideItemForm());
@@ -87,6 +146,16 @@ const AdminPanel = {
     document.getElementById('publishBtn').addEventListener('click', () => this.publishChanges());
     document.getElementById('exportDataBtn').addEventListener('click', () => this.exportData());
     document.getElementById('importDataBtn').addEventListener('click', () => this.importData());
+    document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportCsv());
+    document.getElementById('importCsvBtn').addEventListener('click', () => this.importCsv());
+    document.getElementById('importModeSelect').addEventListener('change', (e) => this.previewImport(e.target.value));
+    document.getElementById('applyImportBtn').addEventListener('click', () => this.applyImport());
+    document.getElementById('cancelImportBtn').addEventListener('click', () => this.cancelImport());
+    document.getElementById('importSelectAll').addEventListener('change', (e) => {
+      document.querySelectorAll('.import-row-checkbox').forEach(cb => { cb.checked = e.target.checked; });
+    });
+    document.getElementById('keepAllLocalBtn').addEventListener('click', () => this.resolveAllConflicts('local'));
+    document.getElementById('useAllRemoteBtn').addEventListener('click', () => this.resolveAllConflicts('remote'));
 
     document.getElementById('visibilityFilter').addEventListener('change', (e) => {
       this.visibilityFilter = e.target.value;
@@ -94,6 +163,11 @@ const AdminPanel = {
       this.loadItemsTable();
     });
 
+    // Saved views
+    document.getElementById('savedViewSelect').addEventListener('change', (e) => this.applySavedView(e.target.value));
+    document.getElementById('saveViewBtn').addEventListener('click', () => this.saveCurrentView());
+    document.getElementById('deleteViewBtn').addEventListener('click', () => this.deleteSavedView());
+
     // Search
     let searchTimeout;
     document.getElementById('adminSearchInput').addEventListener('input', (e) => {
@@ -111,112 +185,166 @@ const AdminPanel = {
     });
     document.getElementById('exportPdfBtn').addEventListener('click', () => this.showPdfFieldModal());
     document.getElementById('toggleBoBtn').addEventListener('click', () => this.bulkToggleBestOffer());
+    document.getElementById('bulkAssignBtn').addEventListener('click', () => this.showAssignModal());
+    document.getElementById('applyAssignBtn').addEventListener('click', () => this.bulkAssign());
+    document.getElementById('cancelAssignBtn').addEventListener('click', () => this.hideAssignModal());
 
     // PDF modal
     document.getElementById('generatePdfBtn').addEventListener('click', () => this.generatePdf());
     document.getElementById('cancelPdfBtn').addEventListener('click', () => this.hidePdfFieldModal());
+
+    // Keep the table current when items are saved in another tab
+    FurnitureData.onItemsChanged(event => this.applyItemChanges(event));
+
+    // Undo / redo shortcuts (left to the browser while typing in a field)
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (e.target.closest('input, textarea, select')) return;
+      if (document.getElementById('itemFormSection').style.display === 'block') return;
+      e.preventDefault();
+      if (e.shiftKey) this.redo();
+      else this.undo();
+    });
   },
 
   // ══════════════════════════════════════════════════════════════
   // TABLE
   // ══════════════════════════════════════════════════════════════
 
-  loadItemsTable(sortBy = null, sortOrder = 'asc') {
-    let items = FurnitureData.loadItems();
+  async loadItemsTable(sortBy = this.sortBy, sortOrder = this.sortOrder) {
+    this.sortBy = sortBy;
+    this.sortOrder = sortOrder;
+    this.updateSavedViewSelect();
+    const liveItems = await FurnitureData.loadItems();
     const tbody = document.querySelector('#itemsTable tbody');
 
-    if (items.length === 0) {
+    if (liveItems.length === 0) {
       tbody.innerHTML = '<tr><td colspan="10" class="no-items">No items yet. Click "Add New Item" to get started.</td></tr>';
       this.updateBulkButtonStates();
+      this.updateUndoButtons();
       return;
     }
 
+    const query = FurnitureData.parseItemQuery(this.searchQuery);
+    this.searchHighlight = query.highlight;
+    this.renderSearchErrors(query.errors);
+    const items = this.getTableItems(liveItems, query);
+
+    // Track current table order for Save & Edit Next
+    this.currentTableItems = items.map(item => item.id);
+
+    tbody.innerHTML = items.map((item, index) => this.renderItemRow(item, index, liveItems)).join('');
+
+    this.updateItemCount(liveItems);
+    this.updateStorageInfo();
+    this.updateUndoButtons();
+    this.updateTrashButton();
+    this.attachSortListeners();
+
+    tbody.querySelectorAll('tr[data-id]').forEach(row => this.attachRowListeners(row));
+    this.updateBulkButtonStates();
+  },
+
+  /**
+   * Items in table order: visibility filter, search query, then column sort
+   * @param {Array} items - Live items
+   * @param {Object} query - From FurnitureData.parseItemQuery()
+   * @returns {Array} Items to show
+   */
+  getTableItems(items, query = FurnitureData.parseItemQuery(this.searchQuery)) {
     if (this.visibilityFilter === 'visible') {
       items = items.filter(item => !item.hidden);
     } else if (this.visibilityFilter === 'hidden') {
       items = items.filter(item => item.hidden === true);
     }
 
+    // Filters and free text; ranked best match first unless a column sort takes over
     if (this.searchQuery) {
-      const q = this.searchQuery.toLowerCase();
-      items = items.filter(item =>
-        (item.name && item.name.toLowerCase().includes(q)) ||
-        (item.description && item.description.toLowerCase().includes(q)) ||
-        (item.id && item.id.toLowerCase().includes(q))
-      );
+      items = FurnitureData.queryItems(items, query, { fields: this.SEARCH_FIELDS });
     }
 
-    if (sortBy) {
-      items = this.sortItems(items, sortBy, sortOrder);
+    if (this.sortBy) {
+      items = this.sortItems([...items], this.sortBy, this.sortOrder);
     }
+    return items;
+  },
 
-    // Track current table order for Save & Edit Next
-    this.currentTableItems = items.map(item => item.id);
-
-    tbody.innerHTML = items.map((item, index) => {
-      const isHidden = item.hidden === true;
-      const lastEdit = item.dateUpdated ? new Date(item.dateUpdated).toLocaleDateString() + ' ' + new Date(item.dateUpdated).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}) : 'N/A';
-      const priceDisplay = (item.price && item.price > 0) ? `$${item.price.toFixed(2)}` : (item.bestOffer ? 'B.O.' : '$0.00');
+  /**
+   * One table row
+   * @param {Object} item
+   * @param {number} index - Position in the table
+   * @param {Array} liveItems - All live items, for bundle badges
+   * @returns {string} HTML
+   */
+  renderItemRow(item, index, liveItems) {
+    const isHidden = item.hidden === true;
+    const lastEdit = item.dateUpdated ? new Date(item.dateUpdated).toLocaleDateString() + ' ' + new Date(item.dateUpdated).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}) : 'N/A';
+    const drop = FurnitureData.getPriceDrop(item);
+    const priceDisplay = (item.price && item.price > 0)
+      ? `${drop ? `<span class="previous-price">$${drop.previous.toFixed(2)}</span>` : ''}$${item.price.toFixed(2)}`
+      : (item.bestOffer ? 'B.O.' : '$0.00');
+    const facets = [item.category, item.room, ...(item.tags || []).map(tag => `#${tag}`)].filter(Boolean);
+    const bundles = FurnitureData.getBundlesFor(item.id, liveItems);
+    const bundleBadge = FurnitureData.isBundle(item)
+      ? ` <span class="bundle-badge">Bundle of ${item.bundleItems.length}</span>`
+      : (bundles.length > 0 ? ` <span class="bundle-badge" title="${this.escapeHtml(bundles[0].name)}">In bundle</span>` : '');
+
+    return `
+    <tr class="${isHidden ? 'hidden-item' : ''}" data-id="${item.id}">
+      <td><input type="checkbox" class="item-select-checkbox" data-id="${item.id}" ${this.selectedItems.has(item.id) ? 'checked' : ''}></td>
+      <td class="row-number">${index + 1}</td>
+      <td>
+        ${item.images && item.images.length > 0
+          ? `<img src="${FurnitureData.getImageSrc(item.images[0])}" alt="${item.name}" class="table-thumbnail">`
+          : '<div class="no-image">No image</div>'}
+      </td>
+      <td><strong>${this.highlightSearch(item.name)}</strong>${isHidden ? ' <span class="hidden-badge">Hidden</span>' : ''}${bundleBadge}${facets.length > 0 ? `<small class="facet-summary">${this.escapeHtml(facets.join(' \u00b7 '))}</small>` : ''}</td>
+      <td class="description-cell">${this.searchHighlight
+        ? FurnitureData.getSearchSnippet(item.description, this.searchHighlight)
+        : `${this.escapeHtml(item.description).substring(0, 100)}${item.description.length > 100 ? '...' : ''}`}</td>
+      <td>${priceDisplay}</td>
+      <td class="bo-cell">
+        <span class="bo-badge ${item.bestOffer ? 'bo-active' : ''}" onclick="AdminPanel.quickToggleBestOffer('${item.id}')" title="Click to toggle Best Offer">${item.bestOffer ? '\u2713' : ''}</span>
+      </td>
+      <td>
+        <select class="status-select status-${item.status}" onchange="AdminPanel.quickStatusUpdate('${item.id}', this.value)">
+          <option value="available" ${item.status === 'available' ? 'selected' : ''}>Available</option>
+          <option value="pending" ${item.status === 'pending' ? 'selected' : ''}>Pending</option>
+          <option value="sold" ${item.status === 'sold' ? 'selected' : ''}>Sold</option>
+          <option value="newly_added" ${item.status === 'newly_added' ? 'selected' : ''}>Newly Added</option>
+          <option value="discounted" ${item.status === 'discounted' ? 'selected' : ''}>Discounted</option>
+        </select>
+      </td>
+      <td class="last-edit-cell">${lastEdit}</td>
+      <td class="actions-cell">
+        <button onclick="AdminPanel.editItem('${item.id}')" class="btn btn-edit">Edit</button>
+        <button onclick="AdminPanel.duplicateItem('${item.id}')" class="btn btn-secondary">Duplicate</button>
+        <button onclick="AdminPanel.toggleHidden('${item.id}')" class="btn ${isHidden ? 'btn-success' : 'btn-warning'}">${isHidden ? 'Show' : 'Hide'}</button>
+        <button onclick="AdminPanel.deleteItem('${item.id}')" class="btn btn-delete">Delete</button>
+      </td>
+    </tr>
+    `;
+  },
 
-      return `
-      <tr class="${isHidden ? 'hidden-item' : ''}">
-        <td><input type="checkbox" class="item-select-checkbox" data-id="${item.id}" ${this.selectedItems.has(item.id) ? 'checked' : ''}></td>
-        <td class="row-number">${index + 1}</td>
-        <td>
-          ${item.images && item.images.length > 0
-            ? `<img src="${item.images[0]}" alt="${item.name}" class="table-thumbnail">`
-            : '<div class="no-image">No image</div>'}
-        </td>
-        <td><strong>${this.escapeHtml(item.name)}</strong>${isHidden ? ' <span class="hidden-badge">Hidden</span>' : ''}</td>
-        <td class="description-cell">${this.escapeHtml(item.description).substring(0, 100)}${item.description.length > 100 ? '...' : ''}</td>
-        <td>${priceDisplay}</td>
-        <td class="bo-cell">
-          <span class="bo-badge ${item.bestOffer ? 'bo-active' : ''}" onclick="AdminPanel.quickToggleBestOffer('${item.id}')" title="Click to toggle Best Offer">${item.bestOffer ? '\u2713' : ''}</span>
-        </td>
-        <td>
-          <select class="status-select status-${item.status}" onchange="AdminPanel.quickStatusUpdate('${item.id}', this.value)">
-            <option value="available" ${item.status === 'available' ? 'selected' : ''}>Available</option>
-            <option value="pending" ${item.status === 'pending' ? 'selected' : ''}>Pending</option>
-            <option value="sold" ${item.status === 'sold' ? 'selected' : ''}>Sold</option>
-            <option value="newly_added" ${item.status === 'newly_added' ? 'selected' : ''}>Newly Added</option>
-            <option value="discounted" ${item.status === 'discounted' ? 'selected' : ''}>Discounted</option>
-          </select>
-        </td>
-        <td class="last-edit-cell">${lastEdit}</td>
-        <td class="actions-cell">
-          <button onclick="AdminPanel.editItem('${item.id}')" class="btn btn-edit">Edit</button>
-          <button onclick="AdminPanel.duplicateItem('${item.id}')" class="btn btn-secondary">Duplicate</button>
-          <button onclick="AdminPanel.toggleHidden('${item.id}')" class="btn ${isHidden ? 'btn-success' : 'btn-warning'}">${isHidden ? 'Show' : 'Hide'}</button>
-          <button onclick="AdminPanel.deleteItem('${item.id}')" class="btn btn-delete">Delete</button>
-        </td>
-      </tr>
-    `}).join('');
+  attachRowListeners(row) {
+    row.querySelector('.item-select-checkbox').addEventListener('change', (e) => {
+      this.toggleSelectItem(e.target.dataset.id, e.target.checked);
+    });
+  },
 
-    // Update item count
+  updateItemCount(allItems) {
     const countEl = document.getElementById('itemCount');
-    if (countEl) {
-      const allItems = FurnitureData.loadItems();
-      const totalCount = allItems.length;
-      const visibleCount = allItems.filter(i => !i.hidden).length;
-      const hiddenCount = allItems.filter(i => i.hidden).length;
-      if (this.visibilityFilter === 'all') {
-        countEl.textContent = `(${totalCount} total${hiddenCount > 0 ? ', ' + hiddenCount + ' hidden' : ''})`;
-      } else if (this.visibilityFilter === 'visible') {
-        countEl.textContent = `(${visibleCount} visible of ${totalCount} total)`;
-      } else if (this.visibilityFilter === 'hidden') {
-        countEl.textContent = `(${hiddenCount} hidden of ${totalCount} total)`;
-      }
+    if (!countEl) return;
+    const totalCount = allItems.length;
+    const visibleCount = allItems.filter(i => !i.hidden).length;
+    const hiddenCount = allItems.filter(i => i.hidden).length;
+    if (this.visibilityFilter === 'all') {
+      countEl.textContent = `(${totalCount} total${hiddenCount > 0 ? ', ' + hiddenCount + ' hidden' : ''})`;
+    } else if (this.visibilityFilter === 'visible') {
+      countEl.textContent = `(${visibleCount} visible of ${totalCount} total)`;
+    } else if (this.visibilityFilter === 'hidden') {
+      countEl.textContent = `(${hiddenCount} hidden of ${totalCount} total)`;
     }
-
-    this.updateStorageInfo();
-    this.attachSortListeners();
-
-    document.querySelectorAll('.item-select-checkbox').forEach(cb => {
-      cb.addEventListener('change', (e) => {
-        this.toggleSelectItem(e.target.dataset.id, e.target.checked);
-      });
-    });
-    this.updateBulkButtonStates();
   },
 
   sortItems(items, field, order = 'asc') {
@@ -240,33 +368,238 @@ const AdminPanel = {
   },
 
   attachSortListeners() {
-    const sortableHeaders = document.querySelectorAll('.sortable');
-    sortableHeaders.forEach(header => {
+    document.querySelectorAll('.sortable').forEach(header => {
+      const field = header.dataset.sort;
+      const active = field === this.sortBy;
       header.style.cursor = 'pointer';
-      header.onclick = () => {
-        const field = header.dataset.sort;
-        const currentOrder = header.dataset.order || 'asc';
-        const newOrder = currentOrder === 'asc' ? 'desc' : 'asc';
-        sortableHeaders.forEach(h => {
-          h.dataset.order = '';
-          h.querySelector('.sort-icon').textContent = '';
-        });
-        header.dataset.order = newOrder;
-        header.querySelector('.sort-icon').textContent = newOrder === 'asc' ? ' \u25b2' : ' \u25bc';
-        this.loadItemsTable(field, newOrder);
-      };
+      header.querySelector('.sort-icon').textContent = active ? (this.sortOrder === 'asc' ? ' \u25b2' : ' \u25bc') : '';
+      // First click sorts descending, the next one flips it
+      header.onclick = () => this.sortTable(field, active && this.sortOrder === 'desc' ? 'asc' : 'desc');
     });
   },
 
+  /**
+   * Sort by a column and remember it for the next visit
+   */
+  sortTable(sortBy, sortOrder) {
+    this.sortBy = sortBy;
+    this.sortOrder = sortOrder;
+    this.saveTableState();
+    this.loadItemsTable();
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // LIVE UPDATES
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Patch the table with items changed in another tab. Changed rows are
+   * re-rendered in their new place or removed; other rows are untouched.
+   * @param {Object} event - From FurnitureData.onItemsChanged()
+   */
+  async applyItemChanges({ changes, reload }) {
+    const tbody = document.querySelector('#itemsTable tbody');
+    if (reload || !tbody.querySelector('tr[data-id]')) {
+      this.loadItemsTable();
+      return;
+    }
+
+    const liveItems = await FurnitureData.loadItems();
+    const items = this.getTableItems(liveItems);
+    const order = items.map(item => item.id);
+    const findRow = id => tbody.querySelector(`tr[data-id="${id}"]`);
+
+    changes.forEach(({ id, item }) => {
+      const row = findRow(id);
+      if (row) row.remove();
+      if (!item) this.selectedItems.delete(id);
+
+      const index = order.indexOf(id);
+      if (index === -1) return;
+
+      const template = document.createElement('tbody');
+      template.innerHTML = this.renderItemRow(items[index], index, liveItems);
+      const newRow = template.querySelector('tr');
+      const nextId = order.slice(index + 1).find(findRow);
+      tbody.insertBefore(newRow, nextId ? findRow(nextId) : null);
+      this.attachRowListeners(newRow);
+    });
+
+    tbody.querySelectorAll('.row-number').forEach((cell, index) => {
+      cell.textContent = index + 1;
+    });
+    this.currentTableItems = order;
+    this.updateItemCount(liveItems);
+    this.updateUndoButtons();
+    this.updateTrashButton();
+    this.updateBulkButtonStates();
+
+    if (this.currentEditId && changes.some(change => change.id === this.currentEditId)) {
+      this.showMessage('This item was just changed in another tab. Saving the form will overwrite that change.', 'info');
+    }
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // TABLE STATE & SAVED VIEWS
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Put back the filter, search, sort and selection from the last visit
+   */
+  async restoreTableState() {
+    const state = await FurnitureData.loadTableState();
+    if (!state) return;
+    const liveIds = new Set((await FurnitureData.loadItems()).map(item => item.id));
+    this.searchQuery = state.search || '';
+    this.visibilityFilter = state.visibility || 'all';
+    this.sortBy = state.sortBy || null;
+    this.sortOrder = state.sortOrder === 'desc' ? 'desc' : 'asc';
+    this.selectedItems = new Set((state.selected || []).filter(id => liveIds.has(id)));
+    document.getElementById('adminSearchInput').value = this.searchQuery;
+    document.getElementById('visibilityFilter').value = this.visibilityFilter;
+    this.updateBulkButtonStates();
+  },
+
+  saveTableState() {
+    FurnitureData.saveTableState({
+      search: this.searchQuery,
+      visibility: this.visibilityFilter,
+      sortBy: this.sortBy,
+      sortOrder: this.sortOrder,
+      selected: [...this.selectedItems]
+    });
+  },
+
+  async renderSavedViews() {
+    const views = await FurnitureData.loadSavedViews();
+    document.getElementById('savedViewSelect').innerHTML = [
+      '<option value="">Views...</option>',
+      ...views.map(view => `<option value="${this.escapeHtml(view.name)}">${this.escapeHtml(view.name)}</option>`)
+    ].join('');
+    this.savedViews = views;
+    this.updateSavedViewSelect();
+  },
+
+  savedViews: [],
+
+  /**
+   * Show the view that matches the table as it is, if any
+   */
+  updateSavedViewSelect() {
+    const current = this.savedViews.find(view =>
+      view.search === this.searchQuery && view.visibility === this.visibilityFilter &&
+      view.sortBy === this.sortBy && (!view.sortBy || view.sortOrder === this.sortOrder));
+    document.getElementById('savedViewSelect').value = current ? current.name : '';
+    document.getElementById('deleteViewBtn').disabled = !current;
+  },
+
+  applySavedView(name) {
+    const view = this.savedViews.find(v => v.name === name);
+    if (!view) { this.updateSavedViewSelect(); return; }
+    this.searchQuery = view.search;
+    this.visibilityFilter = view.visibility;
+    document.getElementById('adminSearchInput').value = view.search;
+    document.getElementById('visibilityFilter').value = view.visibility;
+    this.clearSelection();
+    this.sortTable(view.sortBy, view.sortOrder);
+  },
+
+  async saveCurrentView() {
+    const selected = document.getElementById('savedViewSelect').value;
+    const name = (prompt('Name this view:', selected) || '').trim();
+    if (!name) return;
+    if (this.savedViews.some(view => view.name === name) && name !== selected &&
+        !confirm(`Replace the view "${name}"?`)) return;
+    const view = { name, search: this.searchQuery, visibility: this.visibilityFilter, sortBy: this.sortBy, sortOrder: this.sortOrder };
+    if (await FurnitureData.saveView(view)) {
+      this.showMessage(`View "${name}" saved`, 'success');
+      this.renderSavedViews();
+    } else {
+      this.showMessage('Failed to save view', 'error');
+    }
+  },
+
+  async deleteSavedView() {
+    const name = document.getElementById('savedViewSelect').value;
+    if (!name || !confirm(`Delete the view "${name}"?`)) return;
+    await FurnitureData.deleteView(name);
+    this.showMessage(`View "${name}" deleted`, 'success');
+    this.renderSavedViews();
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // SYNC CONFLICTS
+  // ══════════════════════════════════════════════════════════════
+
+  async renderConflicts() {
+    const section = document.getElementById('conflictsSection');
+    const conflicts = await FurnitureData.loadConflicts();
+    if (conflicts.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const describe = (value) => {
+      if (value === undefined) return '<em>(not set)</em>';
+      if (value === null) return '<em>(none)</em>';
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return this.escapeHtml(text.length > 80 ? text.substring(0, 80) + '...' : text);
+    };
+
+    document.getElementById('conflictCount').textContent = `(${conflicts.length})`;
+    document.querySelector('#conflictsTable tbody').innerHTML = conflicts.map((c, index) => {
+      const isItemLevel = c.field === null;
+      const mine = isItemLevel ? (c.local ? 'Edited' : '<em>Deleted</em>') : describe(c.local);
+      const published = isItemLevel ? (c.remote ? 'Edited' : '<em>Deleted</em>') : describe(c.remote);
+      return `
+      <tr>
+        <td><strong>${this.escapeHtml(c.name || c.id)}</strong><br><small>${c.id}</small></td>
+        <td>${isItemLevel ? '<em>whole item</em>' : this.escapeHtml(c.field)}</td>
+        <td class="conflict-value">${isItemLevel ? '' : describe(c.base)}</td>
+        <td class="conflict-value">${mine}</td>
+        <td class="conflict-value">${published}</td>
+        <td class="actions-cell">
+          <button onclick="AdminPanel.resolveConflict(${index}, 'local')" class="btn btn-secondary">Keep Mine</button>
+          <button onclick="AdminPanel.resolveConflict(${index}, 'remote')" class="btn btn-primary">Use Published</button>
+        </td>
+      </tr>
+    `}).join('');
+    section.style.display = 'block';
+  },
+
+  async resolveConflict(index, choice) {
+    if (await FurnitureData.resolveConflict(index, choice)) {
+      this.showMessage(choice === 'remote' ? 'Published value applied' : 'Kept your value', 'success');
+    } else {
+      this.showMessage('Failed to resolve conflict', 'error');
+    }
+    this.renderConflicts();
+    this.loadItemsTable();
+  },
+
+  async resolveAllConflicts(choice) {
+    const count = (await FurnitureData.loadConflicts()).length;
+    if (count === 0) return;
+    // Resolve from the end so earlier indexes stay valid
+    for (let i = count - 1; i >= 0; i--) {
+      await FurnitureData.resolveConflict(i, choice);
+    }
+    this.showMessage(`Resolved ${count} conflict${count !== 1 ? 's' : ''}`, 'success');
+    this.renderConflicts();
+    this.loadItemsTable();
+  },
+
   // ══════════════════════════════════════════════════════════════
   // ITEM CRUD
   // ══════════════════════════════════════════════════════════════
 
-  duplicateItem(id) {
-    const item = FurnitureData.getItemById(id);
+  async duplicateItem(id) {
+    const item = await FurnitureData.getItemById(id);
     if (!item) return;
     const newItem = { ...item, id: FurnitureData.generateId(), name: item.name + ' (Copy)', dateUpdated: new Date().toISOString() };
-    if (FurnitureData.addItem(newItem)) {
+    // A member can only be in one bundle, so the copy starts empty
+    delete newItem.bundleItems;
+    if (await FurnitureData.addItem(newItem, 'duplicate')) {
       this.showMessage('Item duplicated successfully', 'success');
       this.loadItemsTable();
     } else {
@@ -274,49 +607,147 @@ const AdminPanel = {
     }
   },
 
-  toggleHidden(id) {
-    const item = FurnitureData.getItemById(id);
+  async toggleHidden(id) {
+    const item = await FurnitureData.getItemById(id);
     if (!item) return;
     item.hidden = !item.hidden;
-    if (FurnitureData.updateItem(id, item)) {
+    if (await FurnitureData.updateItem(id, item, 'visibility')) {
       this.showMessage(item.hidden ? 'Item hidden from public view' : 'Item is now visible', 'success');
       this.loadItemsTable();
     }
   },
 
-  quickStatusUpdate(id, newStatus) {
-    const item = FurnitureData.getItemById(id);
+  async quickStatusUpdate(id, newStatus) {
+    const item = await FurnitureData.getItemById(id);
     if (!item) return;
     item.status = newStatus;
-    if (FurnitureData.updateItem(id, item)) {
+    const related = await this.confirmBundleSold(item);
+    if (related.length > 0) {
+      if (await FurnitureData.setStatus([id, ...related], newStatus)) {
+        this.showMessage(`Marked ${related.length + 1} items sold`, 'success');
+        this.loadItemsTable();
+      }
+      return;
+    }
+    if (await FurnitureData.updateItem(id, item, 'status')) {
       this.showMessage('Status updated', 'success');
       this.updateStorageInfo();
+      this.updateUndoButtons();
+    }
+  },
+
+  /**
+   * When an item is marked sold, offer to mark its bundle members (or
+   * the bundles it belongs to) sold too
+   * @returns {Promise<Array<string>>} IDs of the related items to update
+   */
+  async confirmBundleSold(item) {
+    if (item.status !== 'sold') return [];
+    const allItems = await FurnitureData.loadItems();
+    const unsold = list => list.filter(other => other.status !== 'sold');
+
+    if (FurnitureData.isBundle(item)) {
+      const members = unsold(FurnitureData.getBundleMembers(item, allItems));
+      if (members.length === 0) return [];
+      return confirm(`"${item.name}" is a bundle. Mark its ${members.length} item${members.length !== 1 ? 's' : ''} sold too?`)
+        ? members.map(member => member.id) : [];
     }
+    const bundles = unsold(FurnitureData.getBundlesFor(item.id, allItems));
+    if (bundles.length === 0) return [];
+    return confirm(`"${item.name}" is part of the bundle "${bundles[0].name}". Mark the bundle sold too?`)
+      ? bundles.map(bundle => bundle.id) : [];
   },
 
-  quickToggleBestOffer(id) {
-    const item = FurnitureData.getItemById(id);
+  async quickToggleBestOffer(id) {
+    const item = await FurnitureData.getItemById(id);
     if (!item) return;
     item.bestOffer = !item.bestOffer;
-    if (FurnitureData.updateItem(id, item)) {
+    if (await FurnitureData.updateItem(id, item, 'best-offer')) {
       this.showMessage(item.bestOffer ? 'Best Offer enabled' : 'Best Offer disabled', 'success');
       this.loadItemsTable();
     }
   },
 
-  bulkToggleBestOffer() {
-    const allItems = FurnitureData.loadItems();
+  async bulkToggleBestOffer() {
+    const allItems = await FurnitureData.loadItems();
     const selected = allItems.filter(item => this.selectedItems.has(item.id));
     if (selected.length === 0) return;
     const anyOff = selected.some(item => !item.bestOffer);
+    const now = new Date().toISOString();
     selected.forEach(item => {
       item.bestOffer = anyOff;
-      FurnitureData.updateItem(item.id, item);
+      item.dateUpdated = now;
     });
+    // One save, so the whole bulk change is a single undo step
+    if (!(await FurnitureData.saveItems(allItems, 'bulk-best-offer'))) {
+      this.showMessage('Failed to update Best Offer', 'error');
+      return;
+    }
     this.showMessage(`Best Offer ${anyOff ? 'enabled' : 'disabled'} for ${selected.length} item${selected.length !== 1 ? 's' : ''}`, 'success');
     this.loadItemsTable();
   },
 
+  async showAssignModal() {
+    const count = this.selectedItems.size;
+    if (count === 0) return;
+    document.getElementById('assignItemCount').textContent = `${count} item${count !== 1 ? 's' : ''} selected`;
+    ['assignCategory', 'assignRoom', 'assignAddTags', 'assignRemoveTags'].forEach(id => { document.getElementById(id).value = ''; });
+    await this.renderFacetOptions();
+    document.getElementById('assignModal').style.display = 'flex';
+    document.getElementById('assignCategory').focus();
+  },
+
+  hideAssignModal() {
+    document.getElementById('assignModal').style.display = 'none';
+  },
+
+  async bulkAssign() {
+    const category = FurnitureData.normalizeFacetValue(document.getElementById('assignCategory').value);
+    const room = FurnitureData.normalizeFacetValue(document.getElementById('assignRoom').value);
+    const addTags = FurnitureData.parseTags(document.getElementById('assignAddTags').value);
+    const removeTags = FurnitureData.parseTags(document.getElementById('assignRemoveTags').value);
+    if (!category && !room && addTags.length === 0 && removeTags.length === 0) {
+      this.showMessage('Nothing to assign', 'info');
+      return;
+    }
+
+    const allItems = await FurnitureData.loadItems();
+    const selected = allItems.filter(item => this.selectedItems.has(item.id));
+    const now = new Date().toISOString();
+    selected.forEach(item => {
+      if (category) item.category = category;
+      if (room) item.room = room;
+      if (addTags.length > 0 || removeTags.length > 0) {
+        const tags = [...new Set([...(item.tags || []), ...addTags])].filter(tag => !removeTags.includes(tag));
+        if (tags.length > 0) item.tags = tags;
+        else delete item.tags;
+      }
+      item.dateUpdated = now;
+    });
+    // One save, so the whole bulk change is a single undo step
+    if (!(await FurnitureData.saveItems(allItems, 'bulk-assign'))) {
+      this.showMessage('Failed to assign', 'error');
+      return;
+    }
+    this.hideAssignModal();
+    this.showMessage(`Updated ${selected.length} item${selected.length !== 1 ? 's' : ''}`, 'success');
+    this.loadItemsTable();
+  },
+
+  /**
+   * Fill the category and room suggestions from the catalog plus the defaults
+   */
+  async renderFacetOptions() {
+    const items = await FurnitureData.loadItems();
+    const fill = (listId, facet, suggested) => {
+      const values = new Set([...suggested, ...items.map(item => item[facet]).filter(Boolean)]);
+      document.getElementById(listId).innerHTML = [...values].sort()
+        .map(value => `<option value="${this.escapeHtml(value)}">`).join('');
+    };
+    fill('categoryOptions', 'category', FurnitureData.SUGGESTED_CATEGORIES);
+    fill('roomOptions', 'room', FurnitureData.SUGGESTED_ROOMS);
+  },
+
   // ══════════════════════════════════════════════════════════════
   // ITEM FORM
   // ══════════════════════════════════════════════════════════════
@@ -330,10 +761,22 @@ const AdminPanel = {
     document.getElementById('itemPrice').value = item && item.price ? item.price : '';
     document.getElementById('itemBestOffer').checked = item ? (item.bestOffer === true) : false;
     document.getElementById('itemRetailPrice').value = item && item.retailPrice ? item.retailPrice : '';
+    document.getElementById('itemOfferFloor').value = item && item.offerFloor ? item.offerFloor : '';
     document.getElementById('itemProductLink').value = item && item.productLink ? item.productLink : '';
     document.getElementById('itemStatus').value = item ? item.status : 'available';
+    this.renderPriceHistory(item);
+    FurnitureData.getAutoDiscount().then(enabled => { document.getElementById('autoDiscountToggle').checked = enabled; });
+    this.fillDimensionInputs(item);
+    document.getElementById('itemCategory').value = item && item.category ? item.category : '';
+    document.getElementById('itemRoom').value = item && item.room ? item.room : '';
+    document.getElementById('itemTags').value = item && item.tags ? item.tags.join(', ') : '';
+    this.renderFacetOptions();
     document.getElementById('imageUpload').value = '';
+    this.bundleMembers = item && item.bundleItems ? [...item.bundleItems] : [];
+    document.getElementById('bundleMemberSearch').value = '';
     this.renderUploadedImages();
+    this.renderBundlePicker();
+    this.renderItemHistory(item ? item.id : null);
 
     // Show "Save & Edit Next" only when editing an existing item with a next item available
     const saveNextBtn = document.getElementById('saveNextBtn');
@@ -355,6 +798,162 @@ const AdminPanel = {
     document.getElementById('itemsListSection').style.display = 'block';
     this.currentEditId = null;
     this.uploadedImages = [];
+    this.bundleMembers = [];
+  },
+
+  renderPriceHistory(item) {
+    const el = document.getElementById('priceHistory');
+    const history = item && item.priceHistory ? item.priceHistory : [];
+    if (history.length < 2) {
+      el.style.display = 'none';
+      return;
+    }
+    el.textContent = 'Price history: ' + history
+      .map(entry => `${entry.price > 0 ? `$${entry.price.toLocaleString()}` : 'B.O.'} (${new Date(entry.date).toLocaleDateString()})`)
+      .join(' \u2192 ');
+    el.style.display = 'block';
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // DIMENSIONS
+  // ══════════════════════════════════════════════════════════════
+
+  DIMENSION_INPUTS: { width: 'itemWidth', depth: 'itemDepth', height: 'itemHeight' },
+
+  fillDimensionInputs(item) {
+    document.getElementById('dimensionUnit').value = this.dimensionUnit;
+    document.getElementById('weightUnit').value = this.weightUnit;
+    Object.entries(this.DIMENSION_INPUTS).forEach(([field, inputId]) => {
+      document.getElementById(inputId).value = item && item[field] ? FurnitureData.fromInches(item[field], this.dimensionUnit) : '';
+    });
+    document.getElementById('itemWeight').value = item && item.weight ? FurnitureData.fromPounds(item.weight, this.weightUnit) : '';
+  },
+
+  /**
+   * Read the size inputs, converted to inches and pounds
+   * @returns {Object} width/depth/height/weight; blank inputs are left out
+   */
+  readDimensionInputs() {
+    const read = (inputId) => {
+      const value = parseFloat(document.getElementById(inputId).value);
+      return isNaN(value) || value <= 0 ? null : value;
+    };
+    const result = {};
+    Object.entries(this.DIMENSION_INPUTS).forEach(([field, inputId]) => {
+      const value = read(inputId);
+      if (value !== null) result[field] = FurnitureData.toInches(value, this.dimensionUnit);
+    });
+    const weight = read('itemWeight');
+    if (weight !== null) result.weight = FurnitureData.toPounds(weight, this.weightUnit);
+    return result;
+  },
+
+  changeDimensionUnit(unit) {
+    Object.values(this.DIMENSION_INPUTS).forEach(inputId => {
+      const input = document.getElementById(inputId);
+      const value = parseFloat(input.value);
+      if (!isNaN(value)) input.value = FurnitureData.fromInches(FurnitureData.toInches(value, this.dimensionUnit), unit);
+    });
+    this.dimensionUnit = unit;
+  },
+
+  changeWeightUnit(unit) {
+    const input = document.getElementById('itemWeight');
+    const value = parseFloat(input.value);
+    if (!isNaN(value)) input.value = FurnitureData.fromPounds(FurnitureData.toPounds(value, this.weightUnit), unit);
+    this.weightUnit = unit;
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // BUNDLES
+  // ══════════════════════════════════════════════════════════════
+
+  async renderBundlePicker() {
+    const allItems = await FurnitureData.loadItems();
+    const picker = document.getElementById('bundleMemberPicker');
+    const search = document.getElementById('bundleMemberSearch');
+    const membership = document.getElementById('bundleMembership');
+    const parents = this.currentEditId ? FurnitureData.getBundlesFor(this.currentEditId, allItems) : [];
+
+    // Bundles don't nest: a member can't become a bundle itself
+    if (parents.length > 0) {
+      membership.textContent = `Part of the bundle "${parents[0].name}". Edit that bundle to change its items.`;
+      membership.style.display = 'block';
+      search.style.display = 'none';
+      picker.style.display = 'none';
+      this.updateBundlePricing();
+      return;
+    }
+    membership.style.display = 'none';
+    search.style.display = '';
+    picker.style.display = '';
+
+    const query = search.value.trim().toLowerCase();
+    const candidates = allItems.filter(item =>
+      item.id !== this.currentEditId &&
+      !FurnitureData.isBundle(item) &&
+      (this.bundleMembers.includes(item.id) || !query || item.name.toLowerCase().includes(query))
+    );
+    // Picked members first, in bundle order
+    candidates.sort((a, b) => {
+      const ai = this.bundleMembers.indexOf(a.id);
+      const bi = this.bundleMembers.indexOf(b.id);
+      if (ai !== -1 || bi !== -1) return (ai === -1 ? Infinity : ai) - (bi === -1 ? Infinity : bi);
+      return a.name.localeCompare(b.name);
+    });
+
+    picker.innerHTML = candidates.length === 0
+      ? '<small style="color: #666;">No matching items</small>'
+      : candidates.map(item => {
+        const owner = FurnitureData.getBundlesFor(item.id, allItems).find(bundle => bundle.id !== this.currentEditId);
+        const price = item.price > 0 ? `$${item.price.toLocaleString()}` : 'B.O.';
+        return `
+          <label class="${owner ? 'unavailable' : ''}" ${owner ? `title="Already in ${this.escapeHtml(owner.name)}"` : ''}>
+            <input type="checkbox" class="bundle-member-checkbox" data-id="${item.id}"
+              ${this.bundleMembers.includes(item.id) ? 'checked' : ''} ${owner ? 'disabled' : ''}>
+            ${this.escapeHtml(item.name)}${owner ? ' <em>(in another bundle)</em>' : ''}
+            <span class="member-price">${price}</span>
+          </label>
+        `;
+      }).join('');
+
+    picker.querySelectorAll('.bundle-member-checkbox').forEach(cb => {
+      cb.addEventListener('change', () => {
+        if (cb.checked) this.bundleMembers.push(cb.dataset.id);
+        else this.bundleMembers = this.bundleMembers.filter(id => id !== cb.dataset.id);
+        this.updateBundlePricing();
+      });
+    });
+    this.updateBundlePricing();
+  },
+
+  async updateBundlePricing() {
+    const pricing = document.getElementById('bundlePricing');
+    if (this.bundleMembers.length === 0) {
+      pricing.style.display = 'none';
+      return;
+    }
+    const total = await this.bundleMembersTotal();
+    const price = parseFloat(document.getElementById('itemPrice').value) || 0;
+    let summary = `${this.bundleMembers.length} item${this.bundleMembers.length !== 1 ? 's' : ''} \u00b7 separately $${total.toLocaleString()}`;
+    if (price > 0 && total > price) {
+      summary += ` \u00b7 bundle saves $${(total - price).toLocaleString()} (${Math.round((total - price) / total * 100)}% off)`;
+    }
+    document.getElementById('bundlePricingSummary').textContent = summary;
+    pricing.style.display = 'flex';
+  },
+
+  async bundleMembersTotal() {
+    const allItems = await FurnitureData.loadItems();
+    return FurnitureData.getBundleMembers({ bundleItems: this.bundleMembers }, allItems)
+      .reduce((sum, item) => sum + (item.price || 0), 0);
+  },
+
+  async applyBundleDiscount() {
+    const discount = Math.min(100, Math.max(0, parseFloat(document.getElementById('bundleDiscount').value) || 0));
+    const total = await this.bundleMembersTotal();
+    document.getElementById('itemPrice').value = Math.round(total * (1 - discount / 100));
+    this.updateBundlePricing();
   },
 
   async handleImageUpload(event) {
@@ -416,7 +1015,7 @@ const AdminPanel = {
     }
     container.innerHTML = this.uploadedImages.map((img, index) => `
       <div class="image-preview-item" draggable="true" data-index="${index}">
-        <img src="${img}" alt="Preview ${index + 1}">
+        <img src="${FurnitureData.getImageSrc(img)}" alt="Preview ${index + 1}">
         <div class="image-controls">
           <button type="button" class="move-image-btn" onclick="AdminPanel.moveImage(${index}, -1)" ${index === 0 ? 'disabled' : ''}>\u25c0</button>
           <button type="button" class="move-image-btn" onclick="AdminPanel.moveImage(${index}, 1)" ${index === this.uploadedImages.length - 1 ? 'disabled' : ''}>\u25b6</button>
@@ -464,30 +1063,34 @@ const AdminPanel = {
   },
 
   validateForm() {
-    const name = document.getElementById('itemName').value.trim();
-    const description = document.getElementById('itemDescription').value.trim();
-    const price = parseFloat(document.getElementById('itemPrice').value);
-    const bestOffer = document.getElementById('itemBestOffer').checked;
-
-    if (!name) {
-      this.showMessage('Please enter item name', 'error');
-      document.getElementById('itemName').focus();
-      return false;
-    }
-    if (!description) {
-      this.showMessage('Please enter item description', 'error');
-      document.getElementById('itemDescription').focus();
-      return false;
-    }
-    if (!bestOffer && (isNaN(price) || price < 0)) {
-      this.showMessage('Please enter a valid price or enable Best Offer', 'error');
-      document.getElementById('itemPrice').focus();
+    const problem = this.validateItemFields({
+      name: document.getElementById('itemName').value.trim(),
+      description: document.getElementById('itemDescription').value.trim(),
+      price: parseFloat(document.getElementById('itemPrice').value),
+      bestOffer: document.getElementById('itemBestOffer').checked
+    });
+    if (problem) {
+      this.showMessage(problem.message, 'error');
+      document.getElementById(problem.input).focus();
       return false;
     }
     return true;
   },
 
-  _doSave() {
+  /**
+   * Item rules shared by the form and CSV import
+   * @returns {{input: string, message: string}|null} First problem found
+   */
+  validateItemFields({ name, description, price, bestOffer }) {
+    if (!name) return { input: 'itemName', message: 'Please enter item name' };
+    if (!description) return { input: 'itemDescription', message: 'Please enter item description' };
+    if (!bestOffer && (typeof price !== 'number' || isNaN(price) || price < 0)) {
+      return { input: 'itemPrice', message: 'Please enter a valid price or enable Best Offer' };
+    }
+    return null;
+  },
+
+  async _doSave() {
     if (!this.validateForm()) return false;
     const retailPrice = document.getElementById('itemRetailPrice').value;
     const productLink = document.getElementById('itemProductLink').value.trim();
@@ -503,16 +1106,31 @@ const AdminPanel = {
       status: document.getElementById('itemStatus').value,
       images: this.uploadedImages
     };
-
+    Object.assign(itemData, this.readDimensionInputs());
+    const category = FurnitureData.normalizeFacetValue(document.getElementById('itemCategory').value);
+    const room = FurnitureData.normalizeFacetValue(document.getElementById('itemRoom').value);
+    const tags = FurnitureData.parseTags(document.getElementById('itemTags').value);
+    const offerFloor = parseFloat(document.getElementById('itemOfferFloor').value);
+    if (offerFloor > 0) itemData.offerFloor = offerFloor;
+    if (category) itemData.category = category;
+    if (room) itemData.room = room;
+    if (tags.length > 0) itemData.tags = tags;
+    if (this.bundleMembers.length > 0) itemData.bundleItems = [...this.bundleMembers];
+
+    // Related bundle items change in the same save, so one undo reverts both
     let success;
     if (this.currentEditId) {
-      itemData.dateAdded = FurnitureData.getItemById(this.currentEditId).dateAdded;
-      success = FurnitureData.updateItem(this.currentEditId, itemData);
+      const existing = await FurnitureData.getItemById(this.currentEditId);
+      itemData.dateAdded = existing.dateAdded;
+      const related = existing.status !== 'sold'
+        ? await this.confirmBundleSold({ ...itemData, id: this.currentEditId }) : [];
+      success = await FurnitureData.updateItem(this.currentEditId, itemData, 'edit', { related });
     } else {
       itemData.id = FurnitureData.generateId();
       itemData.dateAdded = new Date().toISOString();
       itemData.dateUpdated = new Date().toISOString();
-      success = FurnitureData.addItem(itemData);
+      const related = await this.confirmBundleSold(itemData);
+      success = await FurnitureData.addItem(itemData, 'add', { related });
     }
 
     if (!success) {
@@ -521,22 +1139,22 @@ const AdminPanel = {
     return success;
   },
 
-  saveItem() {
-    if (this._doSave()) {
+  async saveItem() {
+    if (await this._doSave()) {
       this.showMessage(this.currentEditId ? 'Item updated successfully' : 'Item added successfully', 'success');
       this.hideItemForm();
       this.loadItemsTable();
     }
   },
 
-  saveAndEditNext() {
+  async saveAndEditNext() {
     const currentId = this.currentEditId;
-    if (!this._doSave()) return;
+    if (!(await this._doSave())) return;
 
     const idx = this.currentTableItems.indexOf(currentId);
     if (idx >= 0 && idx < this.currentTableItems.length - 1) {
       const nextId = this.currentTableItems[idx + 1];
-      const nextItem = FurnitureData.getItemById(nextId);
+      const nextItem = await FurnitureData.getItemById(nextId);
       if (nextItem) {
         const pos = idx + 2; // 1-based position of the next item
         const total = this.currentTableItems.length;
@@ -551,20 +1169,364 @@ const AdminPanel = {
     this.loadItemsTable();
   },
 
-  editItem(id) {
-    const item = FurnitureData.getItemById(id);
+  async editItem(id) {
+    const item = await FurnitureData.getItemById(id);
     if (item) this.showItemForm(item);
     else this.showMessage('Item not found', 'error');
   },
 
-  deleteItem(id) {
-    const item = FurnitureData.getItemById(id);
+  async deleteItem(id) {
+    const item = await FurnitureData.getItemById(id);
     if (!item) { this.showMessage('Item not found', 'error'); return; }
-    if (confirm(`Are you sure you want to delete "${item.name}"? This cannot be undone.`)) {
-      if (FurnitureData.deleteItem(id)) {
-        this.showMessage('Item deleted successfully', 'success');
-        this.loadItemsTable();
-      }
+    if (await FurnitureData.deleteItem(id)) {
+      this.selectedItems.delete(id);
+      this.showMessage(`"${item.name}" moved to trash`, 'success');
+      this.loadItemsTable();
+    }
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // TRASH
+  // ══════════════════════════════════════════════════════════════
+
+  async updateTrashButton() {
+    const count = (await FurnitureData.loadTrash()).length;
+    document.getElementById('showTrashBtn').textContent = count > 0 ? `\ud83d\uddd1 Trash (${count})` : '\ud83d\uddd1 Trash';
+  },
+
+  showTrash() {
+    document.getElementById('itemsListSection').style.display = 'none';
+    document.getElementById('trashSection').style.display = 'block';
+    this.loadTrashTable();
+  },
+
+  hideTrash() {
+    document.getElementById('trashSection').style.display = 'none';
+    document.getElementById('itemsListSection').style.display = 'block';
+    this.loadItemsTable();
+  },
+
+  async loadTrashTable() {
+    const trash = await FurnitureData.loadTrash();
+    const tbody = document.querySelector('#trashTable tbody');
+    document.getElementById('trashCount').textContent = `(${trash.length})`;
+    document.getElementById('emptyTrashBtn').disabled = trash.length === 0;
+
+    if (trash.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" class="no-items">Trash is empty.</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = trash.map(item => `
+      <tr>
+        <td>
+          ${item.images && item.images.length > 0
+            ? `<img src="${FurnitureData.getImageSrc(item.images[0])}" alt="${this.escapeHtml(item.name)}" class="table-thumbnail">`
+            : '<div class="no-image">No image</div>'}
+        </td>
+        <td><strong>${this.escapeHtml(item.name)}</strong><br><small>${item.id}</small></td>
+        <td>${(item.price && item.price > 0) ? `$${item.price.toFixed(2)}` : (item.bestOffer ? 'B.O.' : '$0.00')}</td>
+        <td class="last-edit-cell">${new Date(item.deletedAt).toLocaleString()}</td>
+        <td class="actions-cell">
+          <button onclick="AdminPanel.restoreItem('${item.id}')" class="btn btn-success">Restore</button>
+          <button onclick="AdminPanel.purgeItem('${item.id}')" class="btn btn-delete">Delete Forever</button>
+        </td>
+      </tr>
+    `).join('');
+  },
+
+  async restoreItem(id) {
+    if (await FurnitureData.restoreItem(id)) {
+      this.showMessage('Item restored', 'success');
+      this.loadTrashTable();
+      this.updateTrashButton();
+      this.updateUndoButtons();
+    } else {
+      this.showMessage('Failed to restore item', 'error');
+    }
+  },
+
+  async purgeItem(id) {
+    const item = (await FurnitureData.loadTrash()).find(i => i.id === id);
+    if (!item) { this.showMessage('Item not found', 'error'); return; }
+    if (!confirm(`Permanently delete "${item.name}"?`)) return;
+    if (await FurnitureData.purgeTrash([id]) > 0) {
+      this.showMessage('Item deleted forever', 'success');
+      this.loadTrashTable();
+      this.updateTrashButton();
+      this.updateUndoButtons();
+    } else {
+      this.showMessage('Failed to delete item', 'error');
+    }
+  },
+
+  async emptyTrash() {
+    const count = (await FurnitureData.loadTrash()).length;
+    if (count === 0) return;
+    if (!confirm(`Permanently delete all ${count} item${count !== 1 ? 's' : ''} in the trash?`)) return;
+    const removed = await FurnitureData.purgeTrash();
+    if (removed < 0) {
+      this.showMessage('Failed to empty trash', 'error');
+      return;
+    }
+    this.showMessage(`Deleted ${removed} item${removed !== 1 ? 's' : ''} forever`, 'success');
+    this.loadTrashTable();
+    this.updateTrashButton();
+    this.updateUndoButtons();
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // MARKDOWN RULES
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Apply due markdowns, telling the user when anything changed
+   */
+  async runDueMarkdowns() {
+    const count = await FurnitureData.applyMarkdowns();
+    if (count > 0) {
+      this.showMessage(`Applied ${count} scheduled markdown${count !== 1 ? 's' : ''}`, 'info');
+      this.updateUndoButtons();
+    }
+    return count;
+  },
+
+  showMarkdowns() {
+    document.getElementById('itemsListSection').style.display = 'none';
+    document.getElementById('markdownSection').style.display = 'block';
+    this.updateMarkdownForm();
+    this.loadMarkdownTables();
+  },
+
+  hideMarkdowns() {
+    document.getElementById('markdownSection').style.display = 'none';
+    document.getElementById('itemsListSection').style.display = 'block';
+    this.loadItemsTable();
+  },
+
+  updateMarkdownForm() {
+    const byDate = document.getElementById('markdownTrigger').value === 'date';
+    const byPercent = document.getElementById('markdownAction').value === 'percent';
+    document.getElementById('markdownDays').style.display = byDate ? 'none' : '';
+    document.getElementById('markdownDate').style.display = byDate ? '' : 'none';
+    document.getElementById('markdownPercent').style.display = byPercent ? '' : 'none';
+    document.getElementById('markdownFloor').style.display = byPercent ? '' : 'none';
+  },
+
+  describeMarkdownTrigger(rule) {
+    const when = rule.trigger.type === 'age'
+      ? `After ${rule.trigger.days} day${rule.trigger.days !== 1 ? 's' : ''} listed`
+      : `On ${new Date(`${rule.trigger.date}T00:00:00`).toLocaleDateString()}`;
+    return rule.filter && rule.filter.maxPrice ? `${when}, under $${rule.filter.maxPrice}` : when;
+  },
+
+  describeMarkdownAction(rule) {
+    if (rule.action.type === 'best-offer') return 'Enable Best Offer';
+    return rule.action.floor
+      ? `Drop ${rule.action.percent}%, floor $${rule.action.floor}`
+      : `Drop ${rule.action.percent}%`;
+  },
+
+  describeMarkdownChange(before, after) {
+    const parts = [];
+    if ('price' in after) parts.push(`$${(before.price || 0).toFixed(2)} \u2192 $${after.price.toFixed(2)}`);
+    if ('bestOffer' in after) parts.push(after.bestOffer ? 'Best Offer on' : 'Best Offer off');
+    return parts.join(', ');
+  },
+
+  async loadMarkdownTables() {
+    const [rules, plan, log] = await Promise.all([
+      FurnitureData.loadMarkdownRules(),
+      FurnitureData.previewMarkdowns(),
+      FurnitureData.loadMarkdownLog()
+    ]);
+
+    document.querySelector('#markdownRulesTable tbody').innerHTML = rules.length === 0
+      ? '<tr><td colspan="5" class="no-items">No rules yet.</td></tr>'
+      : rules.map(rule => `
+        <tr>
+          <td><input type="checkbox" ${rule.enabled !== false ? 'checked' : ''} onchange="AdminPanel.toggleMarkdownRule('${rule.id}', this.checked)"></td>
+          <td><strong>${this.escapeHtml(rule.name)}</strong></td>
+          <td>${this.describeMarkdownTrigger(rule)}</td>
+          <td>${this.describeMarkdownAction(rule)}</td>
+          <td class="actions-cell">
+            <button onclick="AdminPanel.deleteMarkdownRule('${rule.id}')" class="btn btn-delete">Delete</button>
+          </td>
+        </tr>
+      `).join('');
+
+    document.getElementById('markdownDueCount').textContent = `(${plan.length})`;
+    document.getElementById('applyMarkdownsBtn').disabled = plan.length === 0;
+    document.querySelector('#markdownPreviewTable tbody').innerHTML = plan.length === 0
+      ? '<tr><td colspan="3" class="no-items">Nothing is due.</td></tr>'
+      : plan.map(({ rule, item, changes }) => `
+        <tr>
+          <td><strong>${this.escapeHtml(item.name)}</strong><br><small>${item.id}</small></td>
+          <td>${this.escapeHtml(rule.name)}</td>
+          <td>${this.describeMarkdownChange(item, changes)}</td>
+        </tr>
+      `).join('');
+
+    // Newest first
+    document.querySelector('#markdownLogTable tbody').innerHTML = log.length === 0
+      ? '<tr><td colspan="5" class="no-items">No markdowns applied yet.</td></tr>'
+      : log.slice().reverse().map(entry => `
+        <tr class="${entry.revertedAt ? 'markdown-reverted' : ''}">
+          <td class="last-edit-cell">${new Date(entry.appliedAt).toLocaleString()}</td>
+          <td><strong>${this.escapeHtml(entry.itemName)}</strong><br><small>${entry.itemId}</small></td>
+          <td>${this.escapeHtml(entry.ruleName)}</td>
+          <td>${this.describeMarkdownChange(entry.before, entry.after)}</td>
+          <td class="actions-cell">
+            ${entry.revertedAt
+              ? 'Reverted'
+              : `<button onclick="AdminPanel.revertMarkdown('${entry.id}')" class="btn btn-secondary">Revert</button>`}
+          </td>
+        </tr>
+      `).join('');
+  },
+
+  async addMarkdownRule() {
+    const nameInput = document.getElementById('markdownName');
+    const triggerType = document.getElementById('markdownTrigger').value;
+    const actionType = document.getElementById('markdownAction').value;
+    const maxPrice = parseFloat(document.getElementById('markdownMaxPrice').value);
+    const floor = parseFloat(document.getElementById('markdownFloor').value);
+
+    const rule = {
+      id: `rule-${Date.now()}`,
+      name: nameInput.value.trim(),
+      enabled: true,
+      trigger: triggerType === 'age'
+        ? { type: 'age', days: parseInt(document.getElementById('markdownDays').value, 10) }
+        : { type: 'date', date: document.getElementById('markdownDate').value },
+      filter: isNaN(maxPrice) ? {} : { maxPrice },
+      action: actionType === 'percent'
+        ? { type: 'percent', percent: parseFloat(document.getElementById('markdownPercent').value), ...(isNaN(floor) ? {} : { floor }) }
+        : { type: 'best-offer' }
+    };
+    if (!rule.name) rule.name = `${this.describeMarkdownTrigger(rule)}: ${this.describeMarkdownAction(rule)}`;
+
+    const error = FurnitureData.validateMarkdownRule(rule);
+    if (error) { this.showMessage(error, 'error'); return; }
+
+    const rules = await FurnitureData.loadMarkdownRules();
+    rules.push(rule);
+    await FurnitureData.saveMarkdownRules(rules);
+    ['markdownName', 'markdownDays', 'markdownDate', 'markdownMaxPrice', 'markdownPercent', 'markdownFloor']
+      .forEach(id => { document.getElementById(id).value = ''; });
+    this.showMessage('Rule added. Review the due markdowns before applying.', 'success');
+    this.loadMarkdownTables();
+  },
+
+  async toggleMarkdownRule(id, enabled) {
+    const rules = await FurnitureData.loadMarkdownRules();
+    const rule = rules.find(r => r.id === id);
+    if (!rule) return;
+    rule.enabled = enabled;
+    await FurnitureData.saveMarkdownRules(rules);
+    this.loadMarkdownTables();
+  },
+
+  async deleteMarkdownRule(id) {
+    const rules = await FurnitureData.loadMarkdownRules();
+    const rule = rules.find(r => r.id === id);
+    if (!rule || !confirm(`Delete the rule "${rule.name}"? Markdowns it already applied stay in place.`)) return;
+    await FurnitureData.saveMarkdownRules(rules.filter(r => r.id !== id));
+    this.loadMarkdownTables();
+  },
+
+  async applyMarkdownsNow() {
+    const count = await this.runDueMarkdowns();
+    if (count === 0) this.showMessage('No markdowns are due', 'info');
+    this.loadMarkdownTables();
+  },
+
+  async revertMarkdown(logId) {
+    if (await FurnitureData.revertMarkdown(logId)) {
+      this.showMessage('Markdown reverted', 'success');
+      this.updateUndoButtons();
+    } else {
+      this.showMessage('Could not revert: the item was changed or removed since the markdown', 'error');
+    }
+    this.loadMarkdownTables();
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // HISTORY & UNDO
+  // ══════════════════════════════════════════════════════════════
+
+  async undo() {
+    const action = await FurnitureData.undo();
+    if (!action) { this.showMessage('Nothing to undo', 'info'); return; }
+    this.showMessage(`Undid: ${this.ACTION_LABELS[action] || action}`, 'success');
+    this.loadItemsTable();
+    if (document.getElementById('trashSection').style.display !== 'none') this.loadTrashTable();
+    if (document.getElementById('markdownSection').style.display !== 'none') this.loadMarkdownTables();
+  },
+
+  async redo() {
+    const action = await FurnitureData.redo();
+    if (!action) { this.showMessage('Nothing to redo', 'info'); return; }
+    this.showMessage(`Redid: ${this.ACTION_LABELS[action] || action}`, 'success');
+    this.loadItemsTable();
+    if (document.getElementById('trashSection').style.display !== 'none') this.loadTrashTable();
+    if (document.getElementById('markdownSection').style.display !== 'none') this.loadMarkdownTables();
+  },
+
+  async updateUndoButtons() {
+    const state = await FurnitureData.loadUndoState();
+    document.getElementById('undoBtn').disabled = state.undo.length === 0;
+    document.getElementById('redoBtn').disabled = state.redo.length === 0;
+  },
+
+  formatHistoryValue(field, value) {
+    if (value === undefined) return '(not set)';
+    if (value === null) return '(none)';
+    if (field === 'images') return `${value.length} photo${value.length !== 1 ? 's' : ''}`;
+    if (field === 'price' || field === 'retailPrice') return `$${value}`;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 40 ? text.substring(0, 40) + '...' : text;
+  },
+
+  describeHistoryEntry(entry) {
+    if (entry.type === 'add') return 'Created';
+    if (entry.type === 'delete') return 'Deleted';
+    return entry.changes
+      .filter(c => c.field !== 'dateUpdated')
+      .map(c => `${c.field}: ${this.formatHistoryValue(c.field, c.before)} \u2192 ${this.formatHistoryValue(c.field, c.after)}`)
+      .join('; ');
+  },
+
+  async renderItemHistory(id) {
+    const section = document.getElementById('itemHistorySection');
+    const entries = id ? await FurnitureData.getItemHistory(id) : [];
+    if (entries.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+    document.getElementById('itemHistory').innerHTML = entries.map((entry, index) => `
+      <div class="history-entry">
+        <div class="history-meta">
+          <strong>${this.escapeHtml(this.ACTION_LABELS[entry.action] || entry.action)}</strong>
+          <span>${new Date(entry.timestamp).toLocaleString()}</span>
+        </div>
+        <div class="history-changes">${this.escapeHtml(this.describeHistoryEntry(entry))}</div>
+        ${index > 0 ? `<button type="button" class="btn btn-secondary history-revert-btn" onclick="AdminPanel.revertItemTo('${id}', ${entry.seq})">Revert to this</button>` : '<span class="history-current">Current</span>'}
+      </div>
+    `).join('');
+    section.style.display = 'block';
+  },
+
+  async revertItemTo(id, seq) {
+    if (!confirm('Revert this item to the selected state? Unsaved changes in the form will be lost.')) return;
+    if (await FurnitureData.revertItem(id, seq)) {
+      this.showMessage('Item reverted', 'success');
+      const item = await FurnitureData.getItemById(id);
+      if (item) this.showItemForm(item);
+      else { this.hideItemForm(); this.loadItemsTable(); }
+      this.updateUndoButtons();
+    } else {
+      this.showMessage('Failed to revert item', 'error');
     }
   },
 
@@ -638,23 +1600,25 @@ const AdminPanel = {
         throw new Error(`GitHub API error: ${getResp.status}`);
       }
       const fileData = await getResp.json();
-      const items = FurnitureData.loadItems();
+      await this.runDueMarkdowns();
+      const items = await FurnitureData.loadItems();
 
-      // Extract base64 images to GitHub files before publishing JSON
+      // Extract base64 / stored images to GitHub files before publishing JSON
       let uploadedCount = 0;
       for (const item of items) {
         if (!item.images) continue;
         const newImages = [];
         for (let i = 0; i < item.images.length; i++) {
           const img = item.images[i];
-          if (img.startsWith('data:')) {
+          const dataUrl = await FurnitureData.getImageDataUrl(img);
+          if (dataUrl) {
             publishBtn.textContent = `\u23f3 Uploading images (${uploadedCount + 1})...`;
-            const filePath = await this.uploadBase64ImageToGitHub(token, item.id, i + 1, img);
+            const filePath = await this.uploadBase64ImageToGitHub(token, item.id, i + 1, dataUrl);
             if (filePath) {
               newImages.push(filePath);
               uploadedCount++;
             } else {
-              newImages.push(img); // keep base64 as fallback if upload fails
+              newImages.push(img); // keep local image as fallback if upload fails
             }
           } else {
             newImages.push(img);
@@ -663,22 +1627,30 @@ const AdminPanel = {
         item.images = newImages;
       }
 
-      // Save cleaned items back to localStorage
+      // Save cleaned items back to local storage
       if (uploadedCount > 0) {
-        FurnitureData.saveItems(items);
+        await FurnitureData.saveItems(items, 'publish', { undoable: false });
       }
 
       publishBtn.textContent = '\u23f3 Publishing data...';
-      const storedVersion = FurnitureData.getStoredVersion();
+      const storedVersion = await FurnitureData.getStoredVersion();
       const newVersion = storedVersion + 1;
-      const jsonStr = JSON.stringify({ version: newVersion, items }, null, 2);
+      const { data, errors } = FurnitureData.preparePublish(items, newVersion);
+      if (errors.length > 0) {
+        console.error('Schema errors:\n' + FurnitureSchema.formatErrors(errors).join('\n'));
+        throw new Error(this.summarizeSchemaErrors(errors));
+      }
+      const jsonStr = JSON.stringify(data, null, 2);
       const putResp = await fetch(`https://api.github.com/repos/${this.GITHUB_REPO}/contents/${this.GITHUB_FILE}`, {
         method: 'PUT',
         headers: { 'Authorization': `token ${token}`, 'Content-Type': 'application/json' },
         body: JSON.stringify({ message: `Update furniture data (v${newVersion}) from admin panel`, content: btoa(unescape(encodeURIComponent(jsonStr))), sha: fileData.sha })
       });
       if (!putResp.ok) { const err = await putResp.json(); throw new Error(err.message || `GitHub API error: ${putResp.status}`); }
-      localStorage.setItem(FurnitureData.VERSION_KEY, String(newVersion));
+      await FurnitureData.setStoredVersion(newVersion);
+      await FurnitureData.saveBase(items);
+      await FurnitureData.pruneImages();
+      this.updateStorageInfo();
       const imgMsg = uploadedCount > 0 ? ` (${uploadedCount} images uploaded)` : '';
       this.showMessage(`Published v${newVersion} to GitHub${imgMsg}! Site will update in ~1 minute.`, 'success');
     } catch (error) {
@@ -690,8 +1662,8 @@ const AdminPanel = {
     }
   },
 
-  exportData() {
-    const jsonData = FurnitureData.exportData();
+  async exportData() {
+    const jsonData = await FurnitureData.exportData();
     const blob = new Blob([jsonData], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -712,22 +1684,203 @@ const AdminPanel = {
       if (!file) return;
       const reader = new FileReader();
       reader.onload = (event) => {
-        try {
-          if (confirm('This will replace all existing data. Continue?')) {
-            if (FurnitureData.importData(event.target.result)) {
-              this.showMessage('Data imported successfully', 'success');
-              this.loadItemsTable();
-            } else { this.showMessage('Failed to import data. Invalid format.', 'error'); }
-          }
-        } catch (error) { this.showMessage('Failed to import data', 'error'); }
+        this.pendingImport = { json: event.target.result, plan: null, rowErrors: [] };
+        this.previewImport(document.getElementById('importModeSelect').value);
+      };
+      reader.readAsText(file);
+    };
+    input.click();
+  },
+
+  pendingImport: null,
+
+  IMPORT_MODE_HELP: {
+    replace: 'Items in the file replace your current items. Items missing from the file are removed.',
+    merge: 'Items with a matching ID are updated and new items are added. Nothing is removed.',
+    'add-only': 'Only items with a new ID are added. Existing items are left as they are.'
+  },
+
+  async previewImport(mode) {
+    if (!this.pendingImport) return;
+    // A CSV may be a filtered export; it only ever creates or updates by ID
+    if (this.pendingImport.csv && mode === 'replace') mode = 'merge';
+    const plan = await FurnitureData.previewImport(this.pendingImport.json, mode);
+    if (!plan) {
+      this.cancelImport();
+      if (FurnitureData.lastValidationErrors.length > 0) {
+        this.showMessage(`Failed to import data. ${this.summarizeSchemaErrors(FurnitureData.lastValidationErrors)}`, 'error');
+      } else { this.showMessage('Failed to import data. Invalid format.', 'error'); }
+      return;
+    }
+    this.pendingImport.plan = plan;
+
+    const diff = (changes) => changes.map(c => `
+      <div><strong>${this.escapeHtml(c.field)}:</strong>
+        <span class="before">${this.escapeHtml(this.formatHistoryValue(c.field, c.before))}</span> \u2192
+        <span class="after">${this.escapeHtml(this.formatHistoryValue(c.field, c.after))}</span></div>
+    `).join('');
+    const row = (kind, label, entry, details) => `
+      <tr>
+        <td><input type="checkbox" class="import-row-checkbox" data-id="${this.escapeHtml(entry.id)}" checked></td>
+        <td><span class="import-badge ${kind}">${label}</span></td>
+        <td><strong>${this.escapeHtml(entry.item.name || entry.id)}</strong><br><small>${this.escapeHtml(entry.id)}</small></td>
+        <td class="import-diff">${details}</td>
+      </tr>
+    `;
+    const rows = [
+      ...this.pendingImport.rowErrors.map(e => `
+      <tr class="import-error-row">
+        <td></td>
+        <td><span class="import-badge error">Error</span></td>
+        <td><strong>Row ${e.row}</strong>${e.label ? `<br><small>${this.escapeHtml(e.label)}</small>` : ''}</td>
+        <td class="import-diff">${e.messages.map(m => this.escapeHtml(m)).join('<br>')}</td>
+      </tr>
+    `),
+      ...plan.added.map(e => row('added', 'Add', e, e.item.price > 0 ? `$${e.item.price.toFixed(2)} \u00b7 ${this.escapeHtml(e.item.status)}` : this.escapeHtml(e.item.status))),
+      ...plan.changed.map(e => row('changed', 'Update', e, diff(e.changes))),
+      ...plan.removed.map(e => row('removed', 'Remove', e, 'Not in the import file'))
+    ];
+
+    const parts = [`${plan.added.length} to add`, `${plan.changed.length} to update`];
+    if (plan.mode === 'replace') parts.push(`${plan.removed.length} to remove`);
+    parts.push(`${plan.unchanged} unchanged`);
+    if (plan.skipped > 0) parts.push(`${plan.skipped} existing skipped`);
+    if (this.pendingImport.rowErrors.length > 0) parts.push(`${this.pendingImport.rowErrors.length} invalid rows skipped`);
+    document.getElementById('importSummary').textContent = `(${parts.join(', ')})`;
+    document.getElementById('importHelp').textContent = this.IMPORT_MODE_HELP[plan.mode];
+    document.querySelector('#importModeSelect option[value="replace"]').disabled = Boolean(this.pendingImport.csv);
+    document.getElementById('importModeSelect').value = plan.mode;
+    document.getElementById('importSelectAll').checked = true;
+    document.getElementById('applyImportBtn').disabled = rows.length === this.pendingImport.rowErrors.length;
+    document.querySelector('#importTable tbody').innerHTML = rows.length > 0
+      ? rows.join('')
+      : '<tr><td colspan="4" class="no-items">Nothing to import. Your items already match this file.</td></tr>';
+    document.getElementById('importSection').style.display = 'block';
+    document.getElementById('importSection').scrollIntoView({ behavior: 'smooth' });
+  },
+
+  async applyImport() {
+    if (!this.pendingImport || !this.pendingImport.plan) return;
+    const accepted = new Set();
+    document.querySelectorAll('.import-row-checkbox:checked').forEach(cb => accepted.add(cb.dataset.id));
+    if (accepted.size === 0) {
+      this.showMessage('No changes selected', 'info');
+      return;
+    }
+    if (await FurnitureData.applyImport(this.pendingImport.plan, accepted)) {
+      this.showMessage(`Imported ${accepted.size} change${accepted.size !== 1 ? 's' : ''}`, 'success');
+      this.cancelImport();
+      this.loadItemsTable();
+      this.renderSavedViews();
+    } else {
+      this.showMessage('Failed to import data', 'error');
+    }
+  },
+
+  cancelImport() {
+    this.pendingImport = null;
+    document.getElementById('importSection').style.display = 'none';
+    document.querySelector('#importTable tbody').innerHTML = '';
+  },
+
+  async exportCsv() {
+    const byId = new Map((await FurnitureData.loadItems()).map(item => [item.id, item]));
+    const items = this.currentTableItems.map(id => byId.get(id)).filter(Boolean);
+    const localImages = items.reduce((count, item) => count + (item.images || []).filter(src => FurnitureData.isLocalImage(src)).length, 0);
+    // The BOM makes Excel read the file as UTF-8
+    const blob = new Blob(['\ufeff' + FurnitureData.itemsToCsv(items)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `furniture-items-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    const note = localImages > 0
+      ? ` (${localImages} image${localImages !== 1 ? 's' : ''} stored only in this browser left out; publish to get their paths)`
+      : '';
+    this.showMessage(`Exported ${items.length} item${items.length !== 1 ? 's' : ''} to CSV${note}`, 'success');
+  },
+
+  importCsv() {
+    const input = document.createElement('input');
+    input.type = 'file'; input.accept = '.csv,text/csv';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = async (event) => {
+        const result = await this.csvToImport(event.target.result);
+        if (!result) return;
+        const json = JSON.stringify({ schemaVersion: FurnitureSchema.CURRENT_VERSION, items: result.items });
+        this.pendingImport = { json, plan: null, rowErrors: result.rowErrors, csv: true };
+        this.previewImport('merge');
       };
       reader.readAsText(file);
     };
     input.click();
   },
 
-  updateStorageInfo() {
-    const info = FurnitureData.getStorageInfo();
+  /**
+   * Turn CSV text into full items: rows with a known id update that
+   * item, other rows create a new one. Rows that fail validation are
+   * returned in rowErrors instead.
+   */
+  async csvToImport(text) {
+    const [headers, ...rows] = FurnitureData.parseCsv(text);
+    if (!headers || rows.length === 0) {
+      this.showMessage('The CSV file has no data rows', 'error');
+      return null;
+    }
+    const fields = FurnitureData.mapCsvHeaders(headers);
+    if (!fields.includes('id') && !fields.includes('name')) {
+      this.showMessage('The CSV needs an "id" or "name" column', 'error');
+      return null;
+    }
+
+    const existing = new Map((await FurnitureData.loadItems()).map(item => [item.id, item]));
+    const now = new Date().toISOString();
+    const items = [];
+    const rowErrors = [];
+    rows.forEach((cells, index) => {
+      const { fields: values, errors } = FurnitureData.csvRowToFields(cells, fields);
+      const current = values.id ? existing.get(values.id) : null;
+      // The CSV never lists images stored only in this browser; keep them
+      if (current && values.images) {
+        values.images = values.images.concat((current.images || []).filter(src => FurnitureData.isLocalImage(src)));
+      }
+      const item = current
+        ? { ...current, ...values }
+        : { id: values.id || FurnitureData.generateId(), description: '', price: 0, bestOffer: false, retailPrice: null,
+            productLink: null, status: 'available', images: [], dateAdded: now, hidden: false, ...values };
+      if (!current) {
+        item.dateUpdated = values.dateUpdated || now;
+      } else if (Object.keys(values).some(field => field !== 'dateUpdated' && JSON.stringify(values[field]) !== JSON.stringify(current[field]))) {
+        item.dateUpdated = now;
+      }
+
+      const problem = this.validateItemFields(item);
+      if (problem) errors.push(problem.message);
+      FurnitureSchema.validateItem(item).forEach(e => errors.push(`${e.field} ${e.message}`));
+      if (errors.length > 0) {
+        // +2: the header row, and spreadsheets count rows from 1
+        rowErrors.push({ row: index + 2, label: item.name || values.id || '', messages: [...new Set(errors)] });
+      } else {
+        items.push(item);
+      }
+    });
+    return { items, rowErrors };
+  },
+
+  summarizeSchemaErrors(errors) {
+    const lines = FurnitureSchema.formatErrors(errors);
+    const shown = lines.slice(0, 3).join('; ');
+    return `${errors.length} invalid field${errors.length !== 1 ? 's' : ''}: ${shown}${lines.length > 3 ? ` (+${lines.length - 3} more, see console)` : ''}`;
+  },
+
+  async updateStorageInfo() {
+    const info = await FurnitureData.getStorageInfo();
     if (info) {
       document.getElementById('storageInfo').textContent = `Storage: ${info.sizeInKB} KB (${info.itemCount} items)`;
     }
@@ -752,6 +1905,7 @@ const AdminPanel = {
       else this.selectedItems.delete(cb.dataset.id);
     });
     this.updateBulkButtonStates();
+    this.saveTableState();
   },
 
   toggleSelectItem(id, checked) {
@@ -761,12 +1915,14 @@ const AdminPanel = {
     const selectAll = document.getElementById('selectAllCheckbox');
     if (selectAll) selectAll.checked = allCbs.length > 0 && Array.from(allCbs).every(cb => cb.checked);
     this.updateBulkButtonStates();
+    this.saveTableState();
   },
 
   updateBulkButtonStates() {
     const count = this.selectedItems.size;
     const pdfBtn = document.getElementById('exportPdfBtn');
     const boBtn = document.getElementById('toggleBoBtn');
+    const assignBtn = document.getElementById('bulkAssignBtn');
     if (pdfBtn) {
       pdfBtn.disabled = count === 0;
       pdfBtn.textContent = count > 0 ? `Export PDF (${count})` : 'Export PDF';
@@ -775,6 +1931,10 @@ const AdminPanel = {
       boBtn.disabled = count === 0;
       boBtn.textContent = count > 0 ? `Toggle B.O. (${count})` : 'Toggle B.O.';
     }
+    if (assignBtn) {
+      assignBtn.disabled = count === 0;
+      assignBtn.textContent = count > 0 ? `Assign... (${count})` : 'Assign...';
+    }
   },
 
   clearSelection() {
@@ -782,6 +1942,7 @@ const AdminPanel = {
     const selectAll = document.getElementById('selectAllCheckbox');
     if (selectAll) selectAll.checked = false;
     this.updateBulkButtonStates();
+    this.saveTableState();
   },
 
   // ══════════════════════════════════════════════════════════════
@@ -811,6 +1972,7 @@ const AdminPanel = {
   // ══════════════════════════════════════════════════════════════
 
   loadImageForPdf(src) {
+    src = FurnitureData.getImageSrc(src);
     return new Promise((resolve) => {
       if (!src) { resolve(null); return; }
       const img = new Image();
@@ -830,8 +1992,8 @@ const AdminPanel = {
         } catch (e) { resolve(null); }
       };
       img.onerror = () => { resolve(null); };
-      if (src.startsWith('images/full/')) {
-        const thumbSrc = src.replace('images/full/', 'images/thumbnails/').replace('.jpg', '-thumb.jpg');
+      const thumbSrc = FurnitureData.getThumbnailSrc(src);
+      if (thumbSrc) {
         const testImg = new Image();
         testImg.onload = () => { img.src = thumbSrc; };
         testImg.onerror = () => { img.src = src; };
@@ -895,7 +2057,7 @@ const AdminPanel = {
    * - Left column (38%): price, retail, description, status, link
    * - Right column (62%): images stacked vertically
    */
-  addItemPage(doc, item, fields, imageCache, idx, total) {
+  addItemPage(doc, item, fields, imageCache, idx, total, bundleNote = null) {
     const pw = doc.internal.pageSize.getWidth();   // 612
     const ph = doc.internal.pageSize.getHeight();  // 792
     const margin = 47;
@@ -993,6 +2155,22 @@ const AdminPanel = {
       ty += 10;
     }
 
+    // Dimensions and weight
+    if (fields.dimensions && FurnitureData.hasDimensions(item)) {
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(51, 51, 51);
+      const size = FurnitureData.formatDimensions(item);
+      const weight = FurnitureData.formatWeight(item);
+      const sizeLines = [size && `Size: ${size}`, weight && `Weight: ${weight}`].filter(Boolean)
+        .flatMap(text => doc.splitTextToSize(text, textColW));
+      for (const line of sizeLines) {
+        ty += 12;
+        doc.text(line, margin, ty);
+      }
+      ty += 6;
+    }
+
     // Description (wrapped to text column width)
     if (fields.description && item.description) {
       ty += 8;
@@ -1009,6 +2187,19 @@ const AdminPanel = {
       ty += 10;
     }
 
+    // Bundle relationship
+    if (bundleNote) {
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'italic');
+      doc.setTextColor(106, 27, 154);
+      const noteLines = doc.splitTextToSize(bundleNote, textColW);
+      for (const line of noteLines) {
+        ty += 12;
+        doc.text(line, margin, ty);
+      }
+      ty += 6;
+    }
+
     // Status
     if (fields.status && item.status) {
       doc.setFontSize(9);
@@ -1084,7 +2275,7 @@ const AdminPanel = {
 
   async generatePdf() {
     const fields = this.getSelectedPdfFields();
-    const allItems = FurnitureData.loadItems();
+    const allItems = await FurnitureData.loadItems();
     let selected = allItems.filter(item => this.selectedItems.has(item.id));
 
     if (selected.length === 0) {
@@ -1126,7 +2317,7 @@ const AdminPanel = {
 
       selected.forEach((item, i) => {
         doc.addPage();
-        this.addItemPage(doc, item, fields, imageCache, i + 1, selected.length);
+        this.addItemPage(doc, item, fields, imageCache, i + 1, selected.length, this.describeBundleForPdf(item, allItems));
       });
 
       const dateStr = new Date().toISOString().split('T')[0];
@@ -1140,10 +2331,32 @@ const AdminPanel = {
     }
   },
 
+  describeBundleForPdf(item, allItems) {
+    if (FurnitureData.isBundle(item)) {
+      const names = FurnitureData.getBundleMembers(item, allItems).filter(m => !m.hidden).map(m => m.name);
+      return names.length > 0 ? `Bundle includes: ${names.join(', ')}` : null;
+    }
+    const bundle = FurnitureData.getBundlesFor(item.id, allItems).find(b => !b.hidden);
+    return bundle ? `Also available in the bundle "${bundle.name}"` : null;
+  },
+
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
+  },
+
+  // Escape text, marking words that match the table search
+  highlightSearch(text) {
+    return this.searchHighlight ? FurnitureData.highlightMatches(text, this.searchHighlight) : this.escapeHtml(text);
+  },
+
+  // Show search terms that couldn't be parsed; they are ignored
+  renderSearchErrors(errors) {
+    const el = document.getElementById('adminSearchErrors');
+    el.textContent = errors.length > 0 ? `Ignored: ${errors.join('; ')}` : '';
+    el.style.display = errors.length > 0 ? 'block' : 'none';
+    document.getElementById('adminSearchInput').classList.toggle('has-errors', errors.length > 0);
   }
 };
 
@@ -3,164 +3,2287 @@
  * Used by both admin panel and public showcase page
  */
 
+// ══════════════════════════════════════════════════════════════
+// STORAGE ADAPTERS
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Storage backends for FurnitureData. Every adapter implements the
+ * same async interface so the item logic runs unchanged in the
+ * browser, in Node scripts and in tests:
+ *
+ *   name                  Adapter identifier
+ *   storesImages          true if images are kept as Blobs outside the items;
+ *                         false keeps data URLs inline in item.images
+ *   getItems()            → Array of items, in order
+ *   putItems(items)       Replace all items
+ *   getMeta(key)          → value or undefined
+ *   setMeta(key, value)
+ *   deleteMeta(key)
+ *   getImage(key)         → Blob or undefined
+ *   putImage(key, blob)
+ *   deleteImage(key)
+ *   getImageKeys()        → Array of image keys
+ *   getAllImages()        → Array of Blobs
+ *   clear()               Remove all items and images
+ *   loadPublished()       Optional. → { version, items } or null. When
+ *                         omitted, FurnitureData fetches DATA_URL.
+ *
+ * Usage: FurnitureData.useAdapter(StorageAdapters.memory())
+ */
+const StorageAdapters = {
+  /**
+   * IndexedDB backend (browser default). Object stores:
+   * - items:  one record per item, { id, position, data }
+   * - images: image Blobs keyed by image key
+   * - meta:   key/value pairs (version, base snapshot, conflicts, ...)
+   * @param {string} dbName - Database name
+   * @returns {Object} Storage adapter
+   */
+  indexedDB(dbName = 'furniture-showcase') {
+    let dbPromise = null;
+
+    const open = () => {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const request = indexedDB.open(dbName, 1);
+          request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('items')) db.createObjectStore('items', { keyPath: 'id' });
+            if (!db.objectStoreNames.contains('images')) db.createObjectStore('images');
+            if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta');
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return dbPromise;
+    };
+
+    // Run requests inside one transaction and resolve once it commits.
+    // `work` must issue its requests synchronously; if it returns an
+    // IDBRequest, the promise resolves with that request's result.
+    const transaction = async (storeNames, mode, work) => {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const result = work(tx);
+        tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    };
+
+    return {
+      name: 'indexedDB',
+      storesImages: true,
+
+      async getItems() {
+        const records = await transaction('items', 'readonly', tx => tx.objectStore('items').getAll());
+        return records.sort((a, b) => a.position - b.position).map(record => record.data);
+      },
+
+      putItems(items) {
+        return transaction('items', 'readwrite', tx => {
+          const store = tx.objectStore('items');
+          store.clear();
+          items.forEach((item, position) => store.put({ id: item.id, position, data: item }));
+        });
+      },
+
+      getMeta(key) {
+        return transaction('meta', 'readonly', tx => tx.objectStore('meta').get(key));
+      },
+
+      setMeta(key, value) {
+        return transaction('meta', 'readwrite', tx => tx.objectStore('meta').put(value, key));
+      },
+
+      deleteMeta(key) {
+        return transaction('meta', 'readwrite', tx => tx.objectStore('meta').delete(key));
+      },
+
+      getImage(key) {
+        return transaction('images', 'readonly', tx => tx.objectStore('images').get(key));
+      },
+
+      putImage(key, blob) {
+        return transaction('images', 'readwrite', tx => tx.objectStore('images').put(blob, key));
+      },
+
+      deleteImage(key) {
+        return transaction('images', 'readwrite', tx => tx.objectStore('images').delete(key));
+      },
+
+      getImageKeys() {
+        return transaction('images', 'readonly', tx => tx.objectStore('images').getAllKeys());
+      },
+
+      getAllImages() {
+        return transaction('images', 'readonly', tx => tx.objectStore('images').getAll());
+      },
+
+      clear() {
+        return transaction(['items', 'images'], 'readwrite', tx => {
+          tx.objectStore('items').clear();
+          tx.objectStore('images').clear();
+        });
+      }
+    };
+  },
+
+  /**
+   * localStorage backend, in the format used before IndexedDB:
+   * items under 'furniture_items', meta values JSON-encoded under
+   * their own keys, images inline as data URLs.
+   * @param {string} itemsKey - localStorage key for the items
+   * @returns {Object} Storage adapter
+   */
+  localStorage(itemsKey = 'furniture_items') {
+    return {
+      name: 'localStorage',
+      storesImages: false,
+
+      async getItems() {
+        const data = localStorage.getItem(itemsKey);
+        return data ? (JSON.parse(data).items || []) : [];
+      },
+
+      async putItems(items) {
+        localStorage.setItem(itemsKey, JSON.stringify({ items, lastUpdated: new Date().toISOString() }));
+      },
+
+      async getMeta(key) {
+        const value = localStorage.getItem(key);
+        return value === null ? undefined : JSON.parse(value);
+      },
+
+      async setMeta(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+      },
+
+      async deleteMeta(key) {
+        localStorage.removeItem(key);
+      },
+
+      async getImage() { return undefined; },
+      async putImage() {},
+      async deleteImage() {},
+      async getImageKeys() { return []; },
+      async getAllImages() { return []; },
+
+      async clear() {
+        localStorage.removeItem(itemsKey);
+      }
+    };
+  },
+
+  /**
+   * In-memory backend for tests and throwaway scripts
+   * @param {Object} options
+   * @param {Array} options.items - Initial items
+   * @param {Object|null} options.published - What loadPublished() returns,
+   *   e.g. { version: 2, items: [...] }; null skips the published sync
+   * @returns {Object} Storage adapter
+   */
+  memory({ items = [], published = null } = {}) {
+    const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+    let stored = clone(items);
+    const meta = new Map();
+    const images = new Map();
+
+    return {
+      name: 'memory',
+      storesImages: true,
+
+      async getItems() { return clone(stored); },
+      async putItems(next) { stored = clone(next); },
+      async getMeta(key) { return clone(meta.get(key)); },
+      async setMeta(key, value) { meta.set(key, clone(value)); },
+      async deleteMeta(key) { meta.delete(key); },
+      async getImage(key) { return images.get(key); },
+      async putImage(key, blob) { images.set(key, blob); },
+      async deleteImage(key) { images.delete(key); },
+      async getImageKeys() { return [...images.keys()]; },
+      async getAllImages() { return [...images.values()]; },
+      async clear() { stored = []; images.clear(); },
+      async loadPublished() { return clone(published); }
+    };
+  },
+
+  /**
+   * Node filesystem backend that reads and writes a furniture.json
+   * file directly. The file's `version` and `schemaVersion` are exposed
+   * as the stored versions; other meta values live in memory for the process.
+   * Images stay inline, exactly as they would be published. Trashed
+   * items go to a sidecar file (furniture.trash.json next to it, only
+   * while the trash has items), so they never reach the published file.
+   * @param {string} filePath - Path to furniture.json
+   * @returns {Object} Storage adapter
+   */
+  file(filePath) {
+    const fs = require('fs');
+    const path = require('path');
+    const meta = new Map();
+    // Meta keys that are fields of the file itself
+    const fileKeys = {
+      [FurnitureData.VERSION_KEY]: 'version',
+      [FurnitureData.SCHEMA_VERSION_KEY]: 'schemaVersion'
+    };
+
+    const trashPath = path.join(path.dirname(filePath), `${path.basename(filePath, '.json')}.trash.json`);
+
+    const readJson = async (target, fallback) => {
+      try {
+        return JSON.parse(await fs.promises.readFile(target, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+      }
+    };
+    const read = () => readJson(filePath, { version: 0, items: [] });
+
+    // Write to a sibling temp file and rename, so a crash never leaves half a file
+    const writeJson = async (target, data) => {
+      const tmpPath = path.join(path.dirname(target), `.${path.basename(target)}.tmp`);
+      await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tmpPath, target);
+    };
+    const write = data => writeJson(filePath, data);
+
+    return {
+      name: 'file',
+      storesImages: false,
+
+      async getItems() {
+        const trash = await readJson(trashPath, { items: [] });
+        return ((await read()).items || []).concat(trash.items || []);
+      },
+
+      async putItems(items) {
+        const data = await read();
+        const trashed = items.filter(item => item.deletedAt);
+        if (trashed.length > 0) {
+          await writeJson(trashPath, { items: trashed });
+        } else {
+          await fs.promises.rm(trashPath, { force: true });
+        }
+        await write({ ...data, items: items.filter(item => !item.deletedAt) });
+      },
+
+      async getMeta(key) {
+        if (fileKeys[key]) return (await read())[fileKeys[key]];
+        return meta.get(key);
+      },
+
+      async setMeta(key, value) {
+        if (fileKeys[key]) {
+          const data = await read();
+          await write({ ...data, [fileKeys[key]]: value });
+        } else {
+          meta.set(key, value);
+        }
+      },
+
+      async deleteMeta(key) {
+        meta.delete(key);
+      },
+
+      async getImage() { return undefined; },
+      async putImage() {},
+      async deleteImage() {},
+      async getImageKeys() { return []; },
+      async getAllImages() { return []; },
+
+      async clear() {
+        await this.putItems([]);
+      },
+
+      // The file is the published data itself; there is nothing to sync from
+      async loadPublished() {
+        return null;
+      }
+    };
+  }
+};
+
+// ══════════════════════════════════════════════════════════════
+// SCHEMA & MIGRATIONS
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Item schema for furniture.json, a validator and the chain of schema
+ * migrations. Data without a `schemaVersion` is treated as version 1.
+ */
+const FurnitureSchema = {
+  CURRENT_VERSION: 2,
+
+  STATUSES: ['available', 'pending', 'sold', 'newly_added', 'discounted'],
+
+  /**
+   * Field rules. `type` is checked with typeof (plus 'array'); `nullable`
+   * allows null; `required` fields must be present on every item;
+   * `localOnly` fields must never reach a published furniture.json.
+   * Array `items` is either a typeof name or, for arrays of objects, a map
+   * of key → typeof name.
+   * Dimensions are stored in inches and weight in pounds.
+   */
+  FIELDS: {
+    id:          { type: 'string', required: true, nonEmpty: true },
+    name:        { type: 'string', required: true, nonEmpty: true },
+    description: { type: 'string', required: true },
+    price:       { type: 'number', required: true, min: 0 },
+    bestOffer:   { type: 'boolean', required: true },
+    retailPrice: { type: 'number', nullable: true, min: 0 },
+    offerFloor:  { type: 'number', nullable: true, min: 0 },
+    productLink: { type: 'string', nullable: true, format: 'url' },
+    status:      { type: 'string', required: true, enum: 'STATUSES' },
+    images:      { type: 'array', required: true, items: 'string', format: 'image' },
+    category:    { type: 'string' },
+    room:        { type: 'string' },
+    tags:        { type: 'array', items: 'string' },
+    width:       { type: 'number', nullable: true, min: 0 },
+    depth:       { type: 'number', nullable: true, min: 0 },
+    height:      { type: 'number', nullable: true, min: 0 },
+    weight:      { type: 'number', nullable: true, min: 0 },
+    priceHistory: { type: 'array', items: { price: 'number', date: 'string' } },
+    dateAdded:   { type: 'string', required: true, format: 'date' },
+    dateUpdated: { type: 'string', format: 'date' },
+    hidden:      { type: 'boolean', required: true },
+    bundleItems: { type: 'array', items: 'string' },
+    deletedAt:   { type: 'string', format: 'date', localOnly: true }
+  },
+
+  /**
+   * Upgrade steps keyed by the version they upgrade FROM.
+   * Each receives { version, items, ... } and returns the next version's data.
+   */
+  MIGRATIONS: {
+    // v1 → v2: normalize the fields that grew ad hoc
+    1(data) {
+      const items = (data.items || []).map(item => {
+        const upgraded = { ...item };
+        // Thumbnail paths are derived from images; don't store them twice
+        delete upgraded.thumbnails;
+        upgraded.description = upgraded.description || '';
+        upgraded.price = Number(upgraded.price) || 0;
+        upgraded.bestOffer = upgraded.bestOffer === true;
+        upgraded.retailPrice = Number(upgraded.retailPrice) > 0 ? Number(upgraded.retailPrice) : null;
+        upgraded.productLink = upgraded.productLink || null;
+        upgraded.status = upgraded.status || 'available';
+        upgraded.images = Array.isArray(upgraded.images) ? upgraded.images : [];
+        upgraded.dateAdded = upgraded.dateAdded || upgraded.dateUpdated || new Date().toISOString();
+        upgraded.hidden = upgraded.hidden === true;
+        return upgraded;
+      });
+      return { ...data, items };
+    }
+  },
+
+  /**
+   * Run every migration between the data's schemaVersion and CURRENT_VERSION
+   * @param {Object} data - Parsed furniture.json / export ({ items, ... })
+   * @returns {Object} Data at CURRENT_VERSION, with schemaVersion set
+   * @throws {Error} If the data is from a newer schema than this code knows
+   */
+  migrate(data) {
+    let version = data.schemaVersion || 1;
+    if (version > this.CURRENT_VERSION) {
+      throw new Error(`Data schema v${version} is newer than supported v${this.CURRENT_VERSION}`);
+    }
+    let migrated = data;
+    while (version < this.CURRENT_VERSION) {
+      const step = this.MIGRATIONS[version];
+      if (!step) throw new Error(`No migration from schema v${version}`);
+      migrated = step(migrated);
+      version++;
+    }
+    return { ...migrated, schemaVersion: this.CURRENT_VERSION };
+  },
+
+  /**
+   * Validate one item against FIELDS
+   * @param {Object} item - Furniture item
+   * @param {Object} options
+   * @param {boolean} options.published - Also reject images that only exist
+   *   in local storage (data URLs and stored-image references)
+   * @returns {Array<{id: string, field: string, message: string}>} Errors
+   */
+  validateItem(item, { published = false } = {}) {
+    const errors = [];
+    const id = item && typeof item.id === 'string' ? item.id : '(no id)';
+    const fail = (field, message) => errors.push({ id, field, message });
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      fail('*', 'item is not an object');
+      return errors;
+    }
+
+    Object.entries(this.FIELDS).forEach(([field, rule]) => {
+      const value = item[field];
+      if (value === undefined) {
+        if (rule.required) fail(field, 'is required');
+        return;
+      }
+      if (published && rule.localOnly) {
+        fail(field, 'must not be published');
+        return;
+      }
+      if (value === null) {
+        if (!rule.nullable) fail(field, 'must not be null');
+        return;
+      }
+
+      const actualType = Array.isArray(value) ? 'array' : typeof value;
+      if (actualType !== rule.type || (rule.type === 'number' && !isFinite(value))) {
+        fail(field, `must be a ${rule.type}, got ${JSON.stringify(value)}`);
+        return;
+      }
+      if (rule.nonEmpty && value.trim() === '') fail(field, 'must not be empty');
+      if (rule.min !== undefined && value < rule.min) fail(field, `must be at least ${rule.min}`);
+      if (rule.enum && !this[rule.enum].includes(value)) {
+        fail(field, `must be one of ${this[rule.enum].join(', ')}; got "${value}"`);
+      }
+      if (rule.format === 'url' && !/^https?:\/\//i.test(value)) fail(field, 'must be an http(s) URL');
+      if (rule.format === 'date' && isNaN(Date.parse(value))) fail(field, `is not a valid date: "${value}"`);
+      if (rule.items) {
+        value.forEach((entry, i) => {
+          if (typeof rule.items === 'object') {
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+              fail(`${field}[${i}]`, 'must be an object');
+              return;
+            }
+            Object.entries(rule.items).forEach(([key, type]) => {
+              if (typeof entry[key] !== type) fail(`${field}[${i}].${key}`, `must be a ${type}`);
+            });
+          } else if (typeof entry !== rule.items) {
+            fail(`${field}[${i}]`, `must be a ${rule.items}`);
+          } else if (published && rule.format === 'image' && FurnitureData.isLocalImage(entry)) {
+            fail(`${field}[${i}]`, 'is a local image that was not uploaded');
+          }
+        });
+      }
+    });
+
+    Object.keys(item).forEach(field => {
+      if (!this.FIELDS[field]) fail(field, 'is not a known field');
+    });
+
+    return errors;
+  },
+
+  /**
+   * Validate a whole data object: every item, duplicate ids and bundle
+   * relationships. Bundle members that don't exist are ignored, so
+   * trashing a member doesn't block publishing.
+   * @param {Object} data - { items, ... }
+   * @param {Object} options - Passed to validateItem
+   * @returns {Array<{id: string, field: string, message: string}>} Errors
+   */
+  validate(data, options = {}) {
+    if (!data || !Array.isArray(data.items)) {
+      return [{ id: '(file)', field: 'items', message: 'must be an array' }];
+    }
+    const errors = [];
+    const seen = new Set();
+    data.items.forEach(item => {
+      errors.push(...this.validateItem(item, options));
+      if (item && typeof item.id === 'string') {
+        if (seen.has(item.id)) errors.push({ id: item.id, field: 'id', message: 'is duplicated' });
+        seen.add(item.id);
+      }
+    });
+
+    const byId = new Map(data.items.filter(item => item && typeof item.id === 'string').map(item => [item.id, item]));
+    const owner = new Map();
+    byId.forEach(item => {
+      if (!Array.isArray(item.bundleItems)) return;
+      item.bundleItems.forEach(memberId => {
+        const member = byId.get(memberId);
+        if (memberId === item.id) {
+          errors.push({ id: item.id, field: 'bundleItems', message: 'must not include the bundle itself' });
+        } else if (member && Array.isArray(member.bundleItems) && member.bundleItems.length > 0) {
+          errors.push({ id: item.id, field: 'bundleItems', message: `must not include another bundle (${memberId})` });
+        } else if (owner.has(memberId)) {
+          errors.push({ id: item.id, field: 'bundleItems', message: `${memberId} is already in bundle ${owner.get(memberId)}` });
+        } else {
+          owner.set(memberId, item.id);
+        }
+      });
+    });
+    return errors;
+  },
+
+  /**
+   * Format errors as "item-012.price must be at least 0" lines
+   * @param {Array} errors - From validate()/validateItem()
+   * @returns {Array<string>} One line per error
+   */
+  formatErrors(errors) {
+    return errors.map(e => `${e.id}.${e.field} ${e.message}`);
+  }
+};
+
 const FurnitureData = {
+  // Legacy localStorage keys; also used as meta keys in IndexedDB
   STORAGE_KEY: 'furniture_items',
   VERSION_KEY: 'furniture_version',
+  BASE_KEY: 'furniture_base',
+  CONFLICTS_KEY: 'furniture_conflicts',
+  LAST_UPDATED_KEY: 'furniture_last_updated',
+  SCHEMA_VERSION_KEY: 'furniture_schema_version',
+  HISTORY_KEY: 'furniture_history',
+  UNDO_KEY: 'furniture_undo',
+  AUTO_DISCOUNT_KEY: 'furniture_auto_discount',
+  MARKDOWN_RULES_KEY: 'furniture_markdown_rules',
+  MARKDOWN_LOG_KEY: 'furniture_markdown_log',
+  SAVED_VIEWS_KEY: 'furniture_saved_views',
+  TABLE_STATE_KEY: 'furniture_table_state',
+  CHANGE_KEY: 'furniture_change', // storage-event fallback for CHANGE_CHANNEL
+  CHANGE_CHANNEL: 'furniture-changes',
+
+  // Oldest history entries beyond this are dropped
+  MAX_HISTORY: 2000,
+
+  // Where the published catalog is fetched from when the adapter has no loadPublished()
+  DATA_URL: 'data/furniture.json',
+
+  // Prefix for image references that point into the adapter's images store
+  IMAGE_PREFIX: 'idb-image:',
+
+  // Fields that are bookkeeping rather than content; never reported as conflicts
+  MERGE_IGNORED_FIELDS: ['id', 'dateUpdated'],
+
+  adapter: null,
+  readyPromise: null,
+  imageUrls: new Map(), // image reference → object URL
+  lastValidationErrors: [], // set by importData() when it rejects data
+
+  /**
+   * Switch the storage backend. Call before any other method, e.g.
+   * FurnitureData.useAdapter(StorageAdapters.file('data/furniture.json'))
+   * @param {Object} adapter - One of the StorageAdapters
+   */
+  useAdapter(adapter) {
+    this.adapter = adapter;
+    this.readyPromise = null;
+    this.imageUrls.forEach(url => URL.revokeObjectURL(url));
+    this.imageUrls.clear();
+  },
+
+  /**
+   * The active adapter; picks IndexedDB, then localStorage, then
+   * memory on first use depending on what the environment offers
+   * @returns {Object} Storage adapter
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      if (typeof indexedDB !== 'undefined') {
+        this.adapter = StorageAdapters.indexedDB();
+      } else if (typeof localStorage !== 'undefined') {
+        this.adapter = StorageAdapters.localStorage();
+      } else {
+        this.adapter = StorageAdapters.memory();
+      }
+    }
+    return this.adapter;
+  },
+
+  /**
+   * Resolve once storage is open and any legacy localStorage data
+   * has been migrated. Every storage method awaits this first.
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.readyPromise) {
+      const legacy = this.getAdapter().name === 'indexedDB'
+        ? this.migrateFromLocalStorage()
+        : Promise.resolve();
+      this.readyPromise = legacy.then(() => this.migrateStoredSchema());
+    }
+    return this.readyPromise;
+  },
+
+  /**
+   * Bring stored items (and the base snapshot) up to the current schema
+   * @private
+   */
+  async migrateStoredSchema() {
+    const adapter = this.getAdapter();
+    try {
+      const storedSchema = (await adapter.getMeta(this.SCHEMA_VERSION_KEY)) || 1;
+      if (storedSchema >= FurnitureSchema.CURRENT_VERSION) return;
+
+      const items = await adapter.getItems();
+      if (items.length > 0) {
+        await adapter.putItems(FurnitureSchema.migrate({ schemaVersion: storedSchema, items }).items);
+      }
+      const base = await adapter.getMeta(this.BASE_KEY);
+      if (base) {
+        await adapter.setMeta(this.BASE_KEY, FurnitureSchema.migrate({ schemaVersion: storedSchema, items: base }).items);
+      }
+      await adapter.setMeta(this.SCHEMA_VERSION_KEY, FurnitureSchema.CURRENT_VERSION);
+    } catch (error) {
+      console.error('Error migrating stored items to the current schema:', error);
+    }
+  },
+
+  /**
+   * Move data written by the old localStorage-only version into
+   * IndexedDB. Embedded base64 images are extracted into Blobs.
+   * Legacy keys are removed only after everything was written.
+   * @private
+   */
+  async migrateFromLocalStorage() {
+    let legacy;
+    try {
+      legacy = localStorage.getItem(this.STORAGE_KEY);
+    } catch (error) {
+      return;
+    }
+    if (!legacy) return;
+
+    const adapter = this.getAdapter();
+    try {
+      const existing = await adapter.getItems();
+      if (existing.length === 0) {
+        const parsed = JSON.parse(legacy);
+        await this.writeItems(parsed.items || []);
+      }
+
+      const version = localStorage.getItem(this.VERSION_KEY);
+      if (version !== null) await adapter.setMeta(this.VERSION_KEY, parseInt(version, 10) || 0);
+      for (const key of [this.BASE_KEY, this.CONFLICTS_KEY]) {
+        const value = localStorage.getItem(key);
+        if (value !== null) await adapter.setMeta(key, JSON.parse(value));
+      }
+
+      [this.STORAGE_KEY, this.VERSION_KEY, this.BASE_KEY, this.CONFLICTS_KEY].forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+      console.error('Error migrating localStorage data; leaving it in place:', error);
+    }
+  },
+
+  /**
+   * Read a meta value
+   * @param {string} key - Meta key
+   * @param {*} fallback - Value returned when the key is not set
+   * @returns {Promise<*>} Stored value or fallback
+   */
+  async getMeta(key, fallback = null) {
+    await this.ready();
+    try {
+      const value = await this.getAdapter().getMeta(key);
+      return value === undefined ? fallback : value;
+    } catch (error) {
+      console.error(`Error reading ${key}:`, error);
+      return fallback;
+    }
+  },
+
+  /**
+   * Write a meta value
+   * @param {string} key - Meta key
+   * @param {*} value - Structured-cloneable value
+   * @returns {Promise<boolean>} Success status
+   */
+  async setMeta(key, value) {
+    await this.ready();
+    try {
+      await this.getAdapter().setMeta(key, value);
+      return true;
+    } catch (error) {
+      console.error(`Error writing ${key}:`, error);
+      return false;
+    }
+  },
+
+  /**
+   * Load all furniture items, excluding items in the trash
+   * @returns {Promise<Array>} Array of furniture items
+   */
+  async loadItems() {
+    return (await this.loadAllItems()).filter(item => !item.deletedAt);
+  },
+
+  /**
+   * Load every stored item, including trashed ones (with deletedAt set)
+   * @returns {Promise<Array>} Array of furniture items
+   */
+  async loadAllItems() {
+    await this.ready();
+    try {
+      const items = await this.getAdapter().getItems();
+      await this.cacheImageUrls(items);
+      return items;
+    } catch (error) {
+      console.error('Error loading furniture items:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Get the stored data version
+   * @returns {Promise<number>} Stored version number, or 0 if not set
+   */
+  async getStoredVersion() {
+    return this.getMeta(this.VERSION_KEY, 0);
+  },
+
+  /**
+   * Record the furniture.json version the local data is synced with
+   * @param {number} version - Version number
+   * @returns {Promise<boolean>} Success status
+   */
+  async setStoredVersion(version) {
+    return this.setMeta(this.VERSION_KEY, version);
+  },
+
+  /**
+   * Initialize data from furniture.json.
+   * Uses version-based sync: when furniture.json version changes, the
+   * published items are three-way merged with the local items, using the
+   * last-synced snapshot as the common base. Non-conflicting changes from
+   * both sides are kept; real conflicts are stored for the admin to resolve.
+   * @returns {Promise<Array>} Array of furniture items
+   */
+  async init() {
+    try {
+      const data = await this.loadPublished();
+      if (data) {
+        const jsonItems = data.items || [];
+        const jsonVersion = data.version || 0;
+        const storedVersion = await this.getStoredVersion();
+
+        if (jsonVersion > storedVersion) {
+          // Include trashed items so a sync never brings them back
+          const localItems = await this.loadAllItems();
+          const baseItems = await this.loadBase();
+
+          let merged = jsonItems;
+          let conflicts = [];
+          if (localItems.length > 0 && baseItems) {
+            ({ items: merged, conflicts } = this.mergeItems(baseItems, jsonItems, localItems));
+          } else if (localItems.length > 0) {
+            // No snapshot from a previous sync: nothing to diff against,
+            // so the published data wins as it always did.
+            console.warn('No base snapshot found; replacing local items with furniture.json');
+            const local = new Map(localItems.map(item => [item.id, item]));
+            merged = jsonItems.map(item => this.keepLocalOnly(item, local.get(item.id)));
+          }
+
+          await this.saveItems(merged, 'sync', { undoable: false });
+          await this.saveBase(jsonItems);
+          // A newer conflict on the same field supersedes an unresolved older one
+          const pending = (await this.loadConflicts()).filter(old =>
+            !conflicts.some(c => c.id === old.id && c.field === old.field));
+          await this.saveConflicts(pending.concat(conflicts));
+          await this.setStoredVersion(jsonVersion);
+          console.log(`furniture.json updated (v${storedVersion} → v${jsonVersion}). Merged ${jsonItems.length} published items${conflicts.length ? `, ${conflicts.length} conflict(s) need review` : ''}.`);
+          return this.loadItems();
+        }
+
+        if (!(await this.loadBase())) {
+          await this.saveBase(jsonItems);
+        }
+
+        // Same version: use stored items (preserves admin edits)
+        const existing = await this.loadItems();
+        if (existing.length > 0) {
+          return existing;
+        }
+
+        // Storage empty but version matches (cleared manually) — re-seed
+        await this.saveItems(jsonItems, 'sync', { undoable: false });
+        console.log('Re-seeded storage with', jsonItems.length, 'items from furniture.json');
+        return jsonItems;
+      }
+    } catch (error) {
+      console.error('Error loading furniture.json:', error);
+    }
+
+    // Fallback to stored items if fetch fails
+    return this.loadItems();
+  },
+
+  /**
+   * Load the published catalog, from the adapter if it provides one,
+   * otherwise by fetching DATA_URL
+   * @returns {Promise<Object|null>} { version, items }, or null if unavailable
+   */
+  async loadPublished() {
+    const adapter = this.getAdapter();
+    let data;
+    if (adapter.loadPublished) {
+      data = await adapter.loadPublished();
+    } else {
+      const response = await fetch(this.DATA_URL);
+      data = response.ok ? await response.json() : null;
+    }
+    if (!data) return null;
+
+    // Upgrade older published files; report (but still show) invalid items
+    const migrated = FurnitureSchema.migrate(data);
+    const errors = FurnitureSchema.validate(migrated);
+    if (errors.length > 0) {
+      console.warn(`furniture.json has ${errors.length} schema error(s):\n` + FurnitureSchema.formatErrors(errors).join('\n'));
+    }
+    return migrated;
+  },
+
+  /**
+   * Build the object to publish as furniture.json, migrated to the
+   * current schema and validated for publishing
+   * @param {Array} items - Items to publish
+   * @param {number} version - Data version number
+   * @returns {{data: Object, errors: Array}} Publishable data and any errors
+   */
+  preparePublish(items, version) {
+    const data = FurnitureSchema.migrate({ schemaVersion: FurnitureSchema.CURRENT_VERSION, version, items });
+    return { data, errors: FurnitureSchema.validate(data, { published: true }) };
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // SYNC: BASE SNAPSHOT, THREE-WAY MERGE, CONFLICTS
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Load the items as they were at the last sync with furniture.json
+   * @returns {Promise<Array|null>} Base items, or null if no snapshot exists
+   */
+  async loadBase() {
+    return this.getMeta(this.BASE_KEY, null);
+  },
+
+  /**
+   * Store the last-synced snapshot of published items
+   * @param {Array} items - Items as published in furniture.json
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveBase(items) {
+    return this.setMeta(this.BASE_KEY, items);
+  },
+
+  /**
+   * Per-item, per-field three-way merge.
+   * A field changed on one side only takes that side's value; a field
+   * changed identically on both sides is taken as-is; a field changed
+   * differently on both sides keeps the local value and is reported as
+   * a conflict. Deletions are handled the same way at item level.
+   * `localOnly` fields (such as deletedAt) always keep the local value.
+   * @param {Array} baseItems - Last-synced snapshot
+   * @param {Array} remoteItems - Items from furniture.json
+   * @param {Array} localItems - Locally stored items
+   * @returns {{items: Array, conflicts: Array}} Merged items and conflicts
+   */
+  mergeItems(baseItems, remoteItems, localItems) {
+    const byId = list => new Map(list.map(item => [item.id, item]));
+    const base = byId(baseItems);
+    const remote = byId(remoteItems);
+    const local = byId(localItems);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const detectedAt = new Date().toISOString();
+
+    const items = [];
+    const conflicts = [];
+
+    // Walk remote order first, then anything that only exists locally
+    const ids = [...remote.keys()];
+    localItems.forEach(item => { if (!remote.has(item.id)) ids.push(item.id); });
+
+    ids.forEach(id => {
+      const b = base.get(id);
+      const r = remote.get(id);
+      const l = local.get(id);
+
+      if (r && l) {
+        const merged = this.mergeFields(id, b || {}, r, l, conflicts, detectedAt);
+        items.push(merged);
+      } else if (r && !l) {
+        // Added remotely, or deleted locally
+        if (!b) {
+          items.push(r);
+        } else if (!same(this.stripIgnored(b), this.stripIgnored(r))) {
+          conflicts.push({ id, field: null, name: r.name, base: b, local: null, remote: r, detectedAt });
+        }
+      } else if (l && !r) {
+        // Added locally, or deleted remotely
+        if (!b) {
+          items.push(l);
+        } else if (!same(this.stripIgnored(b), this.stripIgnored(l))) {
+          items.push(l);
+          conflicts.push({ id, field: null, name: l.name, base: b, local: l, remote: null, detectedAt });
+        }
+      }
+    });
+
+    return { items, conflicts };
+  },
+
+  /**
+   * Merge the fields of one item present on both sides
+   * @private
+   */
+  mergeFields(id, b, r, l, conflicts, detectedAt) {
+    const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+    const merged = { id };
+    const fields = new Set([...Object.keys(b), ...Object.keys(r), ...Object.keys(l)]);
+
+    fields.forEach(field => {
+      if (field === 'id' || this.isLocalOnly(field)) return;
+      const bv = b[field], rv = r[field], lv = l[field];
+      let value;
+      if (field === 'dateUpdated') {
+        value = new Date(rv || 0) > new Date(lv || 0) ? rv : lv;
+      } else if (same(lv, bv) || same(lv, rv)) {
+        value = rv;
+      } else if (same(rv, bv)) {
+        value = lv;
+      } else {
+        value = lv;
+        conflicts.push({ id, field, name: l.name || r.name, base: bv, local: lv, remote: rv, detectedAt });
+      }
+      if (value !== undefined) merged[field] = value;
+    });
+
+    return this.keepLocalOnly(merged, l);
+  },
+
+  /**
+   * Whether a field is marked localOnly in the schema
+   * @private
+   */
+  isLocalOnly(field) {
+    const rule = FurnitureSchema.FIELDS[field];
+    return Boolean(rule && rule.localOnly);
+  },
+
+  /**
+   * Copy of an item with its localOnly fields taken from the local copy
+   * (or removed when there is none); published data never carries them
+   * @private
+   */
+  keepLocalOnly(item, local) {
+    const kept = { ...item };
+    Object.keys(FurnitureSchema.FIELDS).filter(field => this.isLocalOnly(field)).forEach(field => {
+      if (local && local[field] !== undefined) {
+        kept[field] = local[field];
+      } else {
+        delete kept[field];
+      }
+    });
+    return kept;
+  },
+
+  /**
+   * Copy of an item without bookkeeping fields, for change detection
+   * @private
+   */
+  stripIgnored(item) {
+    const copy = { ...item };
+    this.MERGE_IGNORED_FIELDS.forEach(field => delete copy[field]);
+    Object.keys(copy).filter(field => this.isLocalOnly(field)).forEach(field => delete copy[field]);
+    return copy;
+  },
+
+  /**
+   * Load unresolved merge conflicts
+   * @returns {Promise<Array>} Conflict records
+   */
+  async loadConflicts() {
+    return this.getMeta(this.CONFLICTS_KEY, []);
+  },
+
+  /**
+   * Store unresolved merge conflicts
+   * @param {Array} conflicts - Conflict records
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveConflicts(conflicts) {
+    return this.setMeta(this.CONFLICTS_KEY, conflicts);
+  },
+
+  /**
+   * Resolve a conflict by keeping the local or the published value.
+   * The local value is already in place after a merge, so 'local' only
+   * discards the record; 'remote' writes the published value.
+   * @param {number} index - Index into loadConflicts()
+   * @param {string} choice - 'local' or 'remote'
+   * @returns {Promise<boolean>} Success status
+   */
+  async resolveConflict(index, choice) {
+    const conflicts = await this.loadConflicts();
+    const conflict = conflicts[index];
+    if (!conflict) {
+      console.error('Conflict not found:', index);
+      return false;
+    }
+
+    if (choice === 'remote') {
+      const items = await this.loadItems();
+      const position = items.findIndex(item => item.id === conflict.id);
+
+      if (conflict.field === null) {
+        if (conflict.remote === null) {
+          if (position !== -1) items.splice(position, 1);
+        } else if (position === -1) {
+          items.push(conflict.remote);
+        } else {
+          items[position] = conflict.remote;
+        }
+      } else if (position !== -1) {
+        if (conflict.remote === undefined) {
+          delete items[position][conflict.field];
+        } else {
+          items[position][conflict.field] = conflict.remote;
+        }
+      }
+
+      if (!(await this.saveItems(items, 'resolve-conflict'))) return false;
+    }
+
+    conflicts.splice(index, 1);
+    return this.saveConflicts(conflicts);
+  },
+
+  /**
+   * Save furniture items. Any base64 data URLs in item.images are
+   * moved into the images store and replaced by references. Every
+   * item that changed gets a history entry, and other open tabs are told
+   * which items changed (see onItemsChanged). Trashed items that are not
+   * in `items` stay in the trash; passing an item replaces its trashed copy.
+   * @param {Array} items - Array of furniture items to save
+   * @param {string} action - What caused the change, for the history log
+   * @param {Object} options
+   * @param {boolean} options.undoable - Whether the change goes on the undo stack
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveItems(items, action = 'save', { undoable = true } = {}) {
+    await this.ready();
+    const previous = await this.getAdapter().getItems();
+    if (!this.UNTRACKED_PRICE_ACTIONS.includes(action)) {
+      items = await this.trackPriceChanges(previous, items);
+    }
+    // Callers work with live items; keep trashed items they didn't pass in
+    const ids = new Set(items.map(item => item.id));
+    const trashed = previous.filter(item => item.deletedAt && !ids.has(item.id));
+    if (!(await this.writeItems(items.concat(trashed)))) return false;
+
+    const stored = await this.getAdapter().getItems();
+    const entries = this.diffItems(previous, stored);
+    if (entries.length > 0) {
+      await this.recordHistory(entries, action, undoable);
+      this.broadcastChanges(this.describeChanges(entries, stored), action);
+    }
+    return true;
+  },
+
+  /**
+   * Write items without waiting for ready(); used by the migration
+   * @private
+   */
+  async writeItems(items) {
+    try {
+      const adapter = this.getAdapter();
+      const stored = [];
+      for (const item of items) {
+        stored.push(item.images && adapter.storesImages ? { ...item, images: await this.storeImages(item.images) } : item);
+      }
+      await adapter.putItems(stored);
+      await adapter.setMeta(this.LAST_UPDATED_KEY, new Date().toISOString());
+      return true;
+    } catch (error) {
+      console.error('Error saving furniture items:', error);
+      if (error && error.name === 'QuotaExceededError' && typeof alert === 'function') {
+        alert('Storage quota exceeded. Please reduce the number or size of images.');
+      }
+      return false;
+    }
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // CHANGE NOTIFICATIONS
+  // ══════════════════════════════════════════════════════════════
+
+  /*
+   * saveItems() tells the other open tabs (admin or showcase) which
+   * items were added, updated or deleted: over BroadcastChannel, or
+   * through a storage event on CHANGE_KEY where that is missing.
+   * Messages carry IDs only; receivers read the items from the storage
+   * they share. Moving to and from the trash counts as delete and add.
+   */
+
+  changeChannel: null,
+  changeListeners: [],
+  tabId: Math.random().toString(36).slice(2),
+
+  /**
+   * Reduce history entries to changes in the live (untrashed) catalog
+   * @param {Array} entries - Entries from diffItems()
+   * @param {Array} items - Stored items after the change
+   * @returns {Array} { id, type: 'add'|'update'|'delete' } changes
+   */
+  describeChanges(entries, items) {
+    const stored = new Map(items.map(item => [item.id, item]));
+    return entries.map(entry => {
+      if (entry.type === 'delete') {
+        return entry.before.deletedAt ? null : { id: entry.id, type: 'delete' };
+      }
+      const item = stored.get(entry.id);
+      const trashed = entry.type === 'update' && entry.changes.some(c => c.field === 'deletedAt');
+      if (trashed) return { id: entry.id, type: item.deletedAt ? 'delete' : 'add' };
+      return item.deletedAt ? null : { id: entry.id, type: entry.type };
+    }).filter(Boolean);
+  },
+
+  /**
+   * Send changes to the other tabs
+   * @param {Array} changes - From describeChanges()
+   * @param {string} action - History label of the change
+   * @param {boolean} reload - Everything changed; listeners should reload
+   */
+  broadcastChanges(changes, action, reload = false) {
+    if (changes.length === 0 && !reload) return;
+    const message = { source: this.tabId, action, changes, reload, sentAt: new Date().toISOString() };
+    try {
+      if (this.openChangeChannel()) {
+        this.changeChannel.postMessage(message);
+      } else if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(this.CHANGE_KEY, JSON.stringify(message));
+      }
+    } catch (error) {
+      console.error('Error broadcasting item changes:', error);
+    }
+  },
+
+  /**
+   * The shared BroadcastChannel, or null where there is none. Browser
+   * only: an open channel would keep a Node script from exiting.
+   * @private
+   */
+  openChangeChannel() {
+    if (!this.changeChannel && typeof window !== 'undefined' && typeof BroadcastChannel !== 'undefined') {
+      this.changeChannel = new BroadcastChannel(this.CHANGE_CHANNEL);
+      this.changeChannel.onmessage = (e) => this.receiveChanges(e.data);
+    }
+    return this.changeChannel;
+  },
+
+  /**
+   * Subscribe to item changes made in other tabs. The listener gets
+   * { action, reload, changes: [{ id, type, item }] }; item is the
+   * stored item, or null when it is no longer in the live catalog.
+   * @param {Function} listener
+   * @returns {Function} Unsubscribe
+   */
+  onItemsChanged(listener) {
+    if (this.changeListeners.length === 0 && !this.openChangeChannel() && typeof window !== 'undefined') {
+      window.addEventListener('storage', (e) => {
+        if (e.key === this.CHANGE_KEY && e.newValue) this.receiveChanges(JSON.parse(e.newValue));
+      });
+    }
+    this.changeListeners.push(listener);
+    return () => {
+      this.changeListeners = this.changeListeners.filter(l => l !== listener);
+    };
+  },
+
+  /**
+   * Look up the changed items and hand them to the listeners
+   * @private
+   */
+  async receiveChanges(message) {
+    if (!message || message.source === this.tabId || this.changeListeners.length === 0) return;
+
+    let changes = message.changes || [];
+    if (!message.reload && changes.length > 0) {
+      // loadItems() also creates object URLs for newly stored images
+      const items = new Map((await this.loadItems()).map(item => [item.id, item]));
+      changes = changes.map(change => ({
+        ...change,
+        item: change.type === 'delete' ? null : (items.get(change.id) || null)
+      }));
+    }
+    const event = { action: message.action, reload: !!message.reload, changes };
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error handling item changes:', error);
+      }
+    });
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // HISTORY & UNDO
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Compare two item lists and describe every item-level change.
+   * Updates store only the fields that changed; a change without a
+   * `before` (or `after`) key means the field was absent on that side.
+   * @param {Array} previous - Items before the change
+   * @param {Array} next - Items after the change
+   * @returns {Array} { id, type: 'add'|'update'|'delete', ... } entries
+   */
+  diffItems(previous, next) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const before = new Map(previous.map(item => [item.id, item]));
+    const nextIds = new Set(next.map(item => item.id));
+    const entries = [];
+
+    next.forEach((item, position) => {
+      const old = before.get(item.id);
+      if (!old) {
+        entries.push({ id: item.id, type: 'add', position, after: item });
+        return;
+      }
+      const changes = [];
+      new Set([...Object.keys(old), ...Object.keys(item)]).forEach(field => {
+        if (same(old[field], item[field])) return;
+        const change = { field };
+        if (old[field] !== undefined) change.before = old[field];
+        if (item[field] !== undefined) change.after = item[field];
+        changes.push(change);
+      });
+      // A bumped dateUpdated alone is not a change worth recording
+      if (changes.some(c => !this.MERGE_IGNORED_FIELDS.includes(c.field))) {
+        entries.push({ id: item.id, type: 'update', changes });
+      }
+    });
+
+    previous.forEach((item, position) => {
+      if (!nextIds.has(item.id)) {
+        entries.push({ id: item.id, type: 'delete', position, before: item });
+      }
+    });
+
+    return entries;
+  },
+
+  /**
+   * Replay history entries onto an item list
+   * @param {Array} items - Items to change (not modified)
+   * @param {Array} entries - Entries from the history log, oldest first
+   * @param {string} direction - 'forward' re-applies, 'backward' reverts
+   * @returns {Array} New item list
+   */
+  applyEntries(items, entries, direction) {
+    const result = items.map(item => ({ ...item }));
+    const backward = direction === 'backward';
+    const ordered = backward ? [...entries].reverse() : entries;
+
+    ordered.forEach(entry => {
+      const index = result.findIndex(item => item.id === entry.id);
+      const removes = backward ? entry.type === 'add' : entry.type === 'delete';
+      const inserts = backward ? entry.type === 'delete' : entry.type === 'add';
+
+      if (removes) {
+        if (index !== -1) result.splice(index, 1);
+      } else if (inserts) {
+        if (index === -1) {
+          const snapshot = backward ? entry.before : entry.after;
+          result.splice(Math.min(entry.position, result.length), 0, { ...snapshot });
+        }
+      } else if (index !== -1) {
+        const item = result[index];
+        entry.changes.forEach(change => {
+          const side = backward ? 'before' : 'after';
+          if (side in change) item[change.field] = change[side];
+          else delete item[change.field];
+        });
+      }
+    });
+
+    return result;
+  },
+
+  /**
+   * Load the change log
+   * @returns {Promise<Array>} History entries, oldest first
+   */
+  async loadHistory() {
+    return this.getMeta(this.HISTORY_KEY, []);
+  },
+
+  /**
+   * Load the undo/redo stacks of batch ids
+   * @returns {Promise<{undo: Array<string>, redo: Array<string>}>}
+   */
+  async loadUndoState() {
+    return this.getMeta(this.UNDO_KEY, { undo: [], redo: [] });
+  },
+
+  /**
+   * Append one batch of entries to the history log
+   * @private
+   */
+  async recordHistory(entries, action, undoable) {
+    const history = await this.loadHistory();
+    const batch = `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    const timestamp = new Date().toISOString();
+    let seq = history.length > 0 ? history[history.length - 1].seq : 0;
+
+    entries.forEach(entry => history.push({ ...entry, seq: ++seq, batch, action, timestamp }));
+    const trimmed = history.slice(-this.MAX_HISTORY);
+    await this.setMeta(this.HISTORY_KEY, trimmed);
+
+    if (undoable) {
+      const state = await this.loadUndoState();
+      // Batches whose entries were trimmed away can no longer be undone
+      const kept = new Set(trimmed.map(entry => entry.batch));
+      state.undo = state.undo.filter(id => kept.has(id)).concat(batch);
+      state.redo = [];
+      await this.setMeta(this.UNDO_KEY, state);
+    }
+  },
+
+  /**
+   * Drop every history entry for the given items, so no undo, redo or
+   * revert can bring them back. Batches left empty leave the stacks too.
+   * @private
+   * @param {Array<string>} ids - Item IDs
+   */
+  async forgetHistory(ids) {
+    const history = (await this.loadHistory()).filter(entry => !ids.includes(entry.id));
+    await this.setMeta(this.HISTORY_KEY, history);
+
+    const kept = new Set(history.map(entry => entry.batch));
+    const state = await this.loadUndoState();
+    state.undo = state.undo.filter(batch => kept.has(batch));
+    state.redo = state.redo.filter(batch => kept.has(batch));
+    await this.setMeta(this.UNDO_KEY, state);
+  },
+
+  /**
+   * Undo the most recent undoable change
+   * @returns {Promise<string|null>} Action that was undone, or null
+   */
+  async undo() {
+    return this.stepHistory('undo', 'redo', 'backward');
+  },
+
+  /**
+   * Re-apply the most recently undone change
+   * @returns {Promise<string|null>} Action that was redone, or null
+   */
+  async redo() {
+    return this.stepHistory('redo', 'undo', 'forward');
+  },
+
+  /**
+   * Move one batch from one stack to the other, replaying its entries
+   * @private
+   */
+  async stepHistory(from, to, direction) {
+    const state = await this.loadUndoState();
+    const batch = state[from].pop();
+    if (!batch) return null;
+
+    const entries = (await this.loadHistory()).filter(entry => entry.batch === batch);
+    const items = this.applyEntries(await this.loadAllItems(), entries, direction);
+    if (!(await this.saveItems(items, from, { undoable: false }))) return null;
+
+    state[to].push(batch);
+    await this.setMeta(this.UNDO_KEY, state);
+    return entries.length > 0 ? entries[0].action : from;
+  },
+
+  /**
+   * History entries for one item
+   * @param {string} id - Item ID
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async getItemHistory(id) {
+    return (await this.loadHistory()).filter(entry => entry.id === id).reverse();
+  },
+
+  /**
+   * Reconstruct an item as it was right after a history entry
+   * @param {string} id - Item ID
+   * @param {number} seq - Sequence number of the entry
+   * @returns {Promise<Object|null>} Item state, or null if it did not exist
+   */
+  async getItemStateAt(id, seq) {
+    const later = (await this.loadHistory()).filter(entry => entry.id === id && entry.seq > seq);
+    const current = (await this.loadAllItems()).find(item => item.id === id);
+    const reverted = this.applyEntries(current ? [current] : [], later, 'backward');
+    return reverted[0] || null;
+  },
+
+  /**
+   * Put an item back the way it was right after a history entry.
+   * Recorded as a new 'revert' change, so it can itself be undone.
+   * @param {string} id - Item ID
+   * @param {number} seq - Sequence number of the entry to revert to
+   * @returns {Promise<boolean>} Success status
+   */
+  async revertItem(id, seq) {
+    const state = await this.getItemStateAt(id, seq);
+    const items = await this.loadAllItems();
+    const index = items.findIndex(item => item.id === id);
+
+    if (!state) {
+      if (index !== -1) items.splice(index, 1);
+    } else if (index === -1) {
+      items.push(state);
+    } else {
+      items[index] = state;
+    }
+    return this.saveItems(items, 'revert');
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // IMAGES
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Move data URLs into the images store
+   * @private
+   * @param {Array<string>} images - Paths, data URLs or image references
+   * @returns {Promise<Array<string>>} Paths and image references only
+   */
+  async storeImages(images) {
+    const result = [];
+    for (const src of images) {
+      if (typeof src === 'string' && src.startsWith('data:')) {
+        const key = `img-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const blob = this.dataUrlToBlob(src);
+        await this.getAdapter().putImage(key, blob);
+        const ref = this.IMAGE_PREFIX + key;
+        this.imageUrls.set(ref, URL.createObjectURL(blob));
+        result.push(ref);
+      } else {
+        result.push(src);
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Create object URLs for every stored image referenced by the items
+   * so getImageSrc() can answer synchronously while rendering
+   * @private
+   */
+  async cacheImageUrls(items) {
+    for (const item of items) {
+      for (const src of item.images || []) {
+        if (!this.isStoredImage(src) || this.imageUrls.has(src)) continue;
+        const blob = await this.getAdapter().getImage(src.slice(this.IMAGE_PREFIX.length));
+        if (blob) this.imageUrls.set(src, URL.createObjectURL(blob));
+      }
+    }
+  },
+
+  /**
+   * Whether an image entry points into the images store
+   * @param {string} src - Image path, data URL or reference
+   * @returns {boolean}
+   */
+  isStoredImage(src) {
+    return typeof src === 'string' && src.startsWith(this.IMAGE_PREFIX);
+  },
+
+  /**
+   * Whether an image exists only in this browser (a stored image or a
+   * data URL) and has no published path until the next publish
+   * @param {string} src - Image entry
+   * @returns {boolean}
+   */
+  isLocalImage(src) {
+    return this.isStoredImage(src) || (typeof src === 'string' && src.startsWith('data:'));
+  },
+
+  /**
+   * Turn an image entry into something usable as an <img> src.
+   * Stored images resolve to object URLs (cached by loadItems);
+   * paths and data URLs are returned unchanged.
+   * @param {string} src - Image path, data URL or reference
+   * @returns {string} Displayable URL
+   */
+  getImageSrc(src) {
+    if (this.isStoredImage(src)) {
+      return this.imageUrls.get(src) || '';
+    }
+    return src;
+  },
+
+  // Published photos come in two sizes (see README, Image Specifications)
+  THUMBNAIL_WIDTH: 400,
+  FULL_IMAGE_WIDTH: 1200,
+
+  /**
+   * Thumbnail path for a published full-size image
+   * @param {string} src - Image path or reference
+   * @returns {string|null} images/thumbnails/<name>-thumb.jpg, or null for
+   *   stored images and paths outside images/full/
+   */
+  getThumbnailSrc(src) {
+    if (typeof src !== 'string' || !/^images\/full\/.+\.jpg$/.test(src)) return null;
+    return src.replace('images/full/', 'images/thumbnails/').replace(/\.jpg$/, '-thumb.jpg');
+  },
+
+  /**
+   * srcset offering the thumbnail and the full image
+   * @param {string} src - Image path or reference
+   * @returns {string} srcset value, empty when there is no thumbnail
+   */
+  getImageSrcset(src) {
+    const thumb = this.getThumbnailSrc(src);
+    return thumb ? `${thumb} ${this.THUMBNAIL_WIDTH}w, ${src} ${this.FULL_IMAGE_WIDTH}w` : '';
+  },
+
+  /**
+   * Get a stored image as a base64 data URL (for export and publishing)
+   * @param {string} src - Image path, data URL or reference
+   * @returns {Promise<string|null>} Data URL, or null for plain paths
+   */
+  async getImageDataUrl(src) {
+    if (typeof src !== 'string') return null;
+    if (src.startsWith('data:')) return src;
+    if (!this.isStoredImage(src)) return null;
+    await this.ready();
+    const blob = await this.getAdapter().getImage(src.slice(this.IMAGE_PREFIX.length));
+    return blob ? this.blobToDataUrl(blob) : null;
+  },
+
+  /**
+   * Delete stored images no item references any more
+   * @returns {Promise<number>} Number of images removed
+   */
+  async pruneImages() {
+    await this.ready();
+    const adapter = this.getAdapter();
+    const items = await adapter.getItems();
+    const conflicts = await this.loadConflicts();
+    const history = await this.loadHistory();
+    const referenced = new Set();
+    const collect = item => (item && item.images || []).forEach(src => referenced.add(src));
+    items.forEach(collect);
+    conflicts.forEach(c => { collect(c.local); collect(c.remote); });
+    // Keep images an undo or revert could bring back
+    history.forEach(entry => {
+      collect(entry.before);
+      collect(entry.after);
+      (entry.changes || []).filter(c => c.field === 'images').forEach(c => { collect({ images: c.before }); collect({ images: c.after }); });
+    });
+
+    let removed = 0;
+    for (const key of await adapter.getImageKeys()) {
+      const ref = this.IMAGE_PREFIX + key;
+      if (referenced.has(ref)) continue;
+      await adapter.deleteImage(key);
+      if (this.imageUrls.has(ref)) {
+        URL.revokeObjectURL(this.imageUrls.get(ref));
+        this.imageUrls.delete(ref);
+      }
+      removed++;
+    }
+    return removed;
+  },
+
+  /**
+   * @private
+   */
+  dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const mime = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: mime });
+  },
+
+  /**
+   * @private
+   */
+  async blobToDataUrl(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${blob.type || 'image/jpeg'};base64,${btoa(binary)}`;
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // ITEMS
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Get a single item by ID
+   * @param {string} id - Item ID
+   * @returns {Promise<Object|null>} Furniture item or null if not found
+   */
+  async getItemById(id) {
+    const items = await this.loadItems();
+    return items.find(item => item.id === id) || null;
+  },
+
+  /**
+   * Add a new item
+   * @param {Object} item - Furniture item to add
+   * @param {string} action - History label
+   * @param {Object} options
+   * @param {Array<string>} options.related - Item IDs given the same status
+   *   in the same save, e.g. the members of a bundle marked sold
+   * @returns {Promise<boolean>} Success status
+   */
+  async addItem(item, action = 'add', { related = [] } = {}) {
+    const items = await this.loadItems();
+    item.dateUpdated = new Date().toISOString();
+    item.hidden = item.hidden || false;
+    items.push(item);
+    return this.saveItems(this.applyStatus(items, related, item.status), action);
+  },
+
+  /**
+   * Update an existing item
+   * @param {string} id - Item ID to update
+   * @param {Object} updatedItem - Updated item data
+   * @param {string} action - History label, e.g. 'edit' or 'status'
+   * @param {Object} options
+   * @param {Array<string>} options.related - Item IDs given the same status
+   *   in the same save, e.g. the members of a bundle marked sold
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateItem(id, updatedItem, action = 'update', { related = [] } = {}) {
+    const items = await this.loadItems();
+    const index = items.findIndex(item => item.id === id);
+    if (index === -1) {
+      console.error('Item not found:', id);
+      return false;
+    }
+    items[index] = {
+      ...updatedItem,
+      id,
+      dateUpdated: new Date().toISOString(),
+      hidden: updatedItem.hidden !== undefined ? updatedItem.hidden : false
+    };
+    return this.saveItems(this.applyStatus(items, related, items[index].status), action);
+  },
+
+  /**
+   * Delete an item by moving it to the trash
+   * @param {string} id - Item ID to delete
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteItem(id) {
+    const items = await this.loadAllItems();
+    const item = items.find(i => i.id === id && !i.deletedAt);
+    if (!item) {
+      console.error('Item not found:', id);
+      return false;
+    }
+    item.deletedAt = new Date().toISOString();
+    return this.saveItems(items, 'trash');
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // BUNDLES
+  // ══════════════════════════════════════════════════════════════
+
+  /**
+   * Whether an item is a bundle of other items
+   * @param {Object} item - Item to check
+   * @returns {boolean}
+   */
+  isBundle(item) {
+    return !!item && Array.isArray(item.bundleItems) && item.bundleItems.length > 0;
+  },
+
+  /**
+   * Get the member items of a bundle, in bundle order
+   * @param {Object} bundle - Bundle item
+   * @param {Array} items - Items to look members up in
+   * @returns {Array} Members present in items
+   */
+  getBundleMembers(bundle, items) {
+    if (!this.isBundle(bundle)) return [];
+    const byId = new Map(items.map(item => [item.id, item]));
+    return bundle.bundleItems.map(id => byId.get(id)).filter(Boolean);
+  },
+
+  /**
+   * Get the bundles an item belongs to
+   * @param {string} id - Member item ID
+   * @param {Array} items - Items to search
+   * @returns {Array} Bundle items that include the item
+   */
+  getBundlesFor(id, items) {
+    return items.filter(item => this.isBundle(item) && item.bundleItems.includes(id));
+  },
+
+  /**
+   * Set the status of several items in one save, so a bundle and its
+   * members change (and undo) together
+   * @param {Array<string>} ids - Item IDs
+   * @param {string} status - New status
+   * @param {string} action - History label
+   * @returns {Promise<boolean>} Success status
+   */
+  async setStatus(ids, status, action = 'status') {
+    return this.saveItems(this.applyStatus(await this.loadItems(), ids, status), action);
+  },
+
+  /**
+   * Copy of items with the given ones set to a status
+   * @private
+   */
+  applyStatus(items, ids, status) {
+    if (ids.length === 0) return items;
+    const wanted = new Set(ids);
+    const now = new Date().toISOString();
+    return items.map(item =>
+      wanted.has(item.id) && item.status !== status ? { ...item, status, dateUpdated: now } : item
+    );
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // FACETS: CATEGORY, ROOM, TAGS
+  // ══════════════════════════════════════════════════════════════
+
+  FACETS: ['category', 'room', 'tags'],
+
+  /** Suggestions for the admin form; any other value is allowed too */
+  SUGGESTED_CATEGORIES: ['seating', 'tables', 'storage', 'beds', 'lighting', 'rugs', 'decor', 'outdoor', 'office', 'kitchen'],
+  SUGGESTED_ROOMS: ['living room', 'dining room', 'bedroom', 'office', 'kitchen', 'bathroom', 'outdoor', 'garage'],
+
+  /**
+   * Lowercase and tidy a category, room or tag
+   * @param {string} value - Raw value
+   * @returns {string} Normalized value ('' if blank)
+   */
+  normalizeFacetValue(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  },
+
+  /**
+   * Split comma-separated tags, normalized and without duplicates
+   * @param {string} text - e.g. "Mid-Century, walnut"
+   * @returns {Array<string>} Tags
+   */
+  parseTags(text) {
+    return [...new Set(String(text || '').split(',').map(tag => this.normalizeFacetValue(tag)).filter(Boolean))];
+  },
+
+  /**
+   * Get an item's values for a facet
+   * @param {Object} item - Item
+   * @param {string} facet - One of FACETS
+   * @returns {Array<string>} Values (empty if unset)
+   */
+  getFacetValues(item, facet) {
+    const value = item[facet];
+    if (Array.isArray(value)) return value;
+    return value ? [value] : [];
+  },
+
+  /**
+   * Check an item against selected facet values. Values within a facet
+   * are alternatives (OR); different facets must all match (AND).
+   * @param {Object} item - Item
+   * @param {Object} selected - { facet: Set of values }
+   * @param {string|null} skipFacet - Facet to ignore, for counting
+   * @returns {boolean}
+   */
+  matchesFacets(item, selected, skipFacet = null) {
+    return this.FACETS.every(facet => {
+      const wanted = selected[facet];
+      if (facet === skipFacet || !wanted || wanted.size === 0) return true;
+      return this.getFacetValues(item, facet).some(value => wanted.has(value));
+    });
+  },
+
+  /**
+   * Count facet values. Each facet is counted over the items matching
+   * the other facets' selections, so counts show what a click would add.
+   * @param {Array} items - Items already filtered by status and search
+   * @param {Object} selected - { facet: Set of values }
+   * @param {Array} allItems - Items whose values are listed even with a zero count
+   * @returns {Object} { facet: Map of value → count }, values sorted by name
+   */
+  countFacets(items, selected = {}, allItems = items) {
+    const counts = {};
+    this.FACETS.forEach(facet => {
+      const values = new Map();
+      allItems.forEach(item => {
+        this.getFacetValues(item, facet).forEach(value => values.set(value, 0));
+      });
+      items.filter(item => this.matchesFacets(item, selected, facet)).forEach(item => {
+        this.getFacetValues(item, facet).forEach(value => values.set(value, values.get(value) + 1));
+      });
+      counts[facet] = new Map([...values].sort((a, b) => a[0].localeCompare(b[0])));
+    });
+    return counts;
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // PRICE HISTORY
+  // ══════════════════════════════════════════════════════════════
+
+  // These saves restore or copy prices that were already tracked
+  UNTRACKED_PRICE_ACTIONS: ['sync', 'undo', 'redo', 'revert', 'resolve-conflict'],
+
+  // Only these statuses switch to 'discounted' on a price drop
+  AUTO_DISCOUNT_STATUSES: ['available', 'newly_added'],
+
+  /**
+   * Whether a price drop marks the item discounted
+   * @returns {Promise<boolean>}
+   */
+  async getAutoDiscount() {
+    return this.getMeta(this.AUTO_DISCOUNT_KEY, true);
+  },
+
+  /**
+   * Turn automatic discounting on or off
+   * @param {boolean} enabled
+   * @returns {Promise<boolean>} Success status
+   */
+  async setAutoDiscount(enabled) {
+    return this.setMeta(this.AUTO_DISCOUNT_KEY, enabled === true);
+  },
+
+  /**
+   * Append a dated entry to priceHistory for every item whose price
+   * changed, and carry the history over when a caller replaced the item
+   * without it (the item form builds items from scratch).
+   * @private
+   */
+  async trackPriceChanges(previous, items) {
+    const before = new Map(previous.map(item => [item.id, item]));
+    const autoDiscount = await this.getAutoDiscount();
+    const now = new Date().toISOString();
+
+    return items.map(item => {
+      const old = before.get(item.id);
+      if (!old) {
+        return item.priceHistory || !(item.price > 0) ? item : { ...item, priceHistory: [{ price: item.price, date: now }] };
+      }
+      const history = item.priceHistory || old.priceHistory;
+      if (item.price === old.price) {
+        return history && !item.priceHistory ? { ...item, priceHistory: history } : item;
+      }
+
+      // Items from before price tracking start with their last known price
+      const start = history || [{ price: old.price, date: old.dateUpdated || old.dateAdded }];
+      // An imported item may already carry the entry for its new price
+      const last = start[start.length - 1];
+      const tracked = { ...item, priceHistory: last && last.price === item.price ? start : [...start, { price: item.price, date: now }] };
+      if (autoDiscount && item.price > 0 && item.price < old.price && this.AUTO_DISCOUNT_STATUSES.includes(item.status)) {
+        tracked.status = 'discounted';
+      }
+      return tracked;
+    });
+  },
+
+  /**
+   * Get the latest price drop: the previous asking price when it was
+   * higher than the current one
+   * @param {Object} item - Item
+   * @returns {{previous: number, current: number, percent: number}|null}
+   */
+  getPriceDrop(item) {
+    if (!(item.price > 0) || !item.priceHistory) return null;
+    const earlier = item.priceHistory.filter(entry => entry.price !== item.price);
+    const previous = earlier.length > 0 ? earlier[earlier.length - 1].price : null;
+    if (!(previous > item.price)) return null;
+    return { previous, current: item.price, percent: Math.round((previous - item.price) / previous * 100) };
+  },
+
+  /**
+   * How much the asking price is below retail
+   * @param {Object} item - Item
+   * @returns {{amount: number, percent: number}|null} Null without both prices or without a saving
+   */
+  getRetailSavings(item) {
+    if (!(item.price > 0) || !(item.retailPrice > item.price)) return null;
+    const amount = item.retailPrice - item.price;
+    return { amount, percent: Math.round(amount / item.retailPrice * 100) };
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // OFFERS
+  // ══════════════════════════════════════════════════════════════
+
+  // Without an item's own offerFloor, offers under this share of the asking price get a warning
+  OFFER_FLOOR_RATIO: 0.5,
+
+  /**
+   * Whether buyers can make an offer: unsold Best Offer items
+   * @param {Object} item - Item
+   * @returns {boolean}
+   */
+  acceptsOffers(item) {
+    return item.bestOffer === true && item.status !== 'sold';
+  },
+
+  /**
+   * Lowest offer the seller wants to hear: the item's offerFloor if set,
+   * otherwise OFFER_FLOOR_RATIO of the asking price
+   * @param {Object} item - Item
+   * @returns {number|null} Floor in dollars, or null if there is none
+   */
+  getOfferFloor(item) {
+    if (item.offerFloor > 0) return item.offerFloor;
+    return item.price > 0 ? Math.ceil(item.price * this.OFFER_FLOOR_RATIO) : null;
+  },
+
+  /**
+   * Check an offer against an item. Errors block sending; warnings
+   * only tell the buyer the offer is unlikely to be accepted.
+   * @param {Object} item - Item
+   * @param {number} amount - Offered amount in dollars
+   * @returns {{errors: Array<string>, warnings: Array<string>}}
+   */
+  validateOffer(item, amount) {
+    const errors = [];
+    const warnings = [];
+    if (item.status === 'sold') errors.push('This item has been sold');
+    else if (!this.acceptsOffers(item)) errors.push('This item is not open to offers');
+    if (!(typeof amount === 'number' && amount > 0 && isFinite(amount))) {
+      errors.push('Enter an offer amount');
+      return { errors, warnings };
+    }
+
+    const floor = this.getOfferFloor(item);
+    if (item.price > 0 && amount >= item.price) {
+      warnings.push(`That's at or above the asking price of $${item.price.toLocaleString()}`);
+    } else if (floor !== null && amount < floor) {
+      warnings.push(`Offers under $${floor.toLocaleString()} are unlikely to be accepted`);
+    }
+    if (item.status === 'pending') warnings.push('Another sale is pending on this item; your offer is a backup');
+    return { errors, warnings };
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // MARKDOWN RULES
+  // ══════════════════════════════════════════════════════════════
+
+  /*
+   * A rule has a trigger, an optional filter and an action:
+   *   { id, name, enabled,
+   *     trigger: { type: 'age', days: 14 } | { type: 'date', date: '2026-11-01' },
+   *     filter: { maxPrice: 100 },
+   *     action: { type: 'percent', percent: 15, floor: 50 } | { type: 'best-offer' } }
+   * Each rule applies to an item at most once; the log records every
+   * application so it can be reverted.
+   */
+
+  // Sold and pending items are never marked down
+  MARKDOWN_STATUSES: ['available', 'newly_added', 'discounted'],
+  MAX_MARKDOWN_LOG: 1000,
+
+  /**
+   * Load the markdown rules
+   * @returns {Promise<Array>} Rules
+   */
+  async loadMarkdownRules() {
+    return this.getMeta(this.MARKDOWN_RULES_KEY, []);
+  },
+
+  /**
+   * Save the markdown rules
+   * @param {Array} rules - Rules
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveMarkdownRules(rules) {
+    return this.setMeta(this.MARKDOWN_RULES_KEY, rules);
+  },
+
+  /**
+   * Load the log of applied markdowns, newest last
+   * @returns {Promise<Array>} Log entries
+   */
+  async loadMarkdownLog() {
+    return this.getMeta(this.MARKDOWN_LOG_KEY, []);
+  },
+
+  /**
+   * Check a rule before saving it
+   * @param {Object} rule - Rule
+   * @returns {string|null} What is wrong, or null
+   */
+  validateMarkdownRule(rule) {
+    const { trigger = {}, action = {}, filter = {} } = rule;
+    if (trigger.type === 'age' && !(trigger.days > 0)) return 'Enter the number of days';
+    if (trigger.type === 'date' && isNaN(Date.parse(trigger.date))) return 'Enter a valid date';
+    if (!['age', 'date'].includes(trigger.type)) return 'Unknown trigger';
+    if (action.type === 'percent' && !(action.percent > 0 && action.percent < 100)) return 'Percent must be between 0 and 100';
+    if (!['percent', 'best-offer'].includes(action.type)) return 'Unknown action';
+    if (filter.maxPrice !== undefined && !(filter.maxPrice > 0)) return 'Max price must be a positive number';
+    return null;
+  },
+
+  /**
+   * Work out the changes a rule makes to an item right now
+   * @param {Object} rule - Rule
+   * @param {Object} item - Item
+   * @param {Date} now - Current time
+   * @returns {Object|null} Changed fields, or null if the rule doesn't apply
+   */
+  getMarkdownChanges(rule, item, now = new Date()) {
+    const { trigger, action, filter = {} } = rule;
+    if (!this.MARKDOWN_STATUSES.includes(item.status)) return null;
+    if (filter.maxPrice !== undefined && !(item.price > 0 && item.price <= filter.maxPrice)) return null;
+
+    if (trigger.type === 'age') {
+      const ageDays = (now - new Date(item.dateAdded)) / (24 * 60 * 60 * 1000);
+      if (!(ageDays >= trigger.days)) return null;
+    } else if (now < new Date(`${trigger.date}T00:00:00`)) {
+      return null;
+    }
+
+    if (action.type === 'best-offer') {
+      return item.bestOffer ? null : { bestOffer: true };
+    }
+    if (!(item.price > 0)) return null;
+    const price = Math.max(action.floor || 0, Math.round(item.price * (1 - action.percent / 100)));
+    return price < item.price ? { price } : null;
+  },
+
+  /**
+   * List the markdowns that are due: enabled rules against live items,
+   * skipping rule/item pairs that were already applied
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<{rule: Object, item: Object, changes: Object}>>}
+   */
+  async previewMarkdowns(now = new Date()) {
+    const rules = (await this.loadMarkdownRules()).filter(rule => rule.enabled !== false);
+    if (rules.length === 0) return [];
+    const applied = new Set((await this.loadMarkdownLog()).map(entry => `${entry.ruleId}:${entry.itemId}`));
+    const items = await this.loadItems();
+
+    // Rules run in order, each seeing the previous rules' result
+    const working = new Map(items.map(item => [item.id, { ...item }]));
+    const plan = [];
+    rules.forEach(rule => {
+      working.forEach(item => {
+        if (applied.has(`${rule.id}:${item.id}`)) return;
+        const changes = this.getMarkdownChanges(rule, item, now);
+        if (!changes) return;
+        plan.push({ rule, item: { ...item }, changes });
+        Object.assign(item, changes);
+      });
+    });
+    return plan;
+  },
+
+  /**
+   * Apply the due markdowns in one save, so a run is a single undo
+   * step and a single change notification, and log each one
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of markdowns applied
+   */
+  async applyMarkdowns(now = new Date()) {
+    const plan = await this.previewMarkdowns(now);
+    if (plan.length === 0) return 0;
+    const items = await this.loadItems();
+    const byId = new Map(items.map(item => [item.id, item]));
+    const updatedAt = new Date().toISOString();
+    const applied = [];
+
+    plan.forEach(({ rule, item: planned, changes }) => {
+      const item = byId.get(planned.id);
+      if (!item) return;
+      applied.push({ rule, item: { ...item }, changes });
+      Object.assign(item, changes, { dateUpdated: updatedAt });
+    });
+    if (applied.length === 0 || !(await this.saveItems(items, 'markdown'))) return 0;
+
+    // Saving may also change the status (auto-discount), so log that too
+    const saved = new Map((await this.loadItems()).map(item => [item.id, item]));
+    const log = await this.loadMarkdownLog();
+    applied.forEach(({ rule, item, changes }) => {
+      const fields = [...Object.keys(changes), 'status'];
+      const before = {};
+      const after = {};
+      fields.forEach(field => {
+        before[field] = item[field];
+        after[field] = field === 'status' ? saved.get(item.id).status : changes[field];
+      });
+      log.push({
+        id: `md-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        itemId: item.id,
+        itemName: item.name,
+        appliedAt: now.toISOString(),
+        before,
+        after
+      });
+    });
+
+    await this.setMeta(this.MARKDOWN_LOG_KEY, log.slice(-this.MAX_MARKDOWN_LOG));
+    return applied.length;
+  },
+
+  /**
+   * Put back the values a markdown changed. Skipped when the item was
+   * edited since, so a later manual price isn't overwritten.
+   * @param {string} logId - Log entry ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async revertMarkdown(logId) {
+    const log = await this.loadMarkdownLog();
+    const entry = log.find(e => e.id === logId);
+    if (!entry || entry.revertedAt) return false;
+    const item = await this.getItemById(entry.itemId);
+    if (!item) return false;
+    const unchanged = Object.keys(entry.after).every(field => item[field] === entry.after[field]);
+    if (!unchanged) {
+      console.warn('Item changed since the markdown; not reverting:', entry.itemId);
+      return false;
+    }
+
+    // Fields missing from `before` were unset before the markdown
+    const restored = { ...item };
+    Object.keys(entry.after).forEach(field => {
+      if (field in entry.before) restored[field] = entry.before[field];
+      else delete restored[field];
+    });
+    if (!(await this.updateItem(item.id, restored, 'markdown-revert'))) return false;
+    // The rule stays applied, so it doesn't mark the item down again
+    entry.revertedAt = new Date().toISOString();
+    return this.setMeta(this.MARKDOWN_LOG_KEY, log);
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // DIMENSIONS
+  // ══════════════════════════════════════════════════════════════
+
+  /** Size fields, stored in inches */
+  DIMENSION_FIELDS: ['width', 'depth', 'height'],
+  CM_PER_INCH: 2.54,
+  KG_PER_POUND: 0.45359237,
+
+  /**
+   * Convert a length to inches
+   * @param {number} value - Length in `unit`
+   * @param {string} unit - 'in' or 'cm'
+   * @returns {number} Inches, rounded to a quarter inch
+   */
+  toInches(value, unit) {
+    const inches = unit === 'cm' ? value / this.CM_PER_INCH : value;
+    return Math.round(inches * 4) / 4;
+  },
+
+  /**
+   * Convert inches to a display unit
+   * @param {number} inches - Length in inches
+   * @param {string} unit - 'in' or 'cm'
+   * @returns {number} Length, whole centimeters or quarter inches
+   */
+  fromInches(inches, unit) {
+    return unit === 'cm' ? Math.round(inches * this.CM_PER_INCH) : Math.round(inches * 4) / 4;
+  },
 
   /**
-   * Load all furniture items from localStorage
-   * @returns {Array} Array of furniture items
+   * Convert a weight to pounds
+   * @param {number} value - Weight in `unit`
+   * @param {string} unit - 'lb' or 'kg'
+   * @returns {number} Pounds, rounded to a tenth
    */
-  loadItems() {
-    try {
-      const data = localStorage.getItem(this.STORAGE_KEY);
-      if (!data) {
-        return [];
-      }
-      const parsed = JSON.parse(data);
-      return parsed.items || [];
-    } catch (error) {
-      console.error('Error loading furniture items:', error);
-      return [];
-    }
+  toPounds(value, unit) {
+    const pounds = unit === 'kg' ? value / this.KG_PER_POUND : value;
+    return Math.round(pounds * 10) / 10;
   },
 
   /**
-   * Get the stored data version from localStorage
-   * @returns {number} Stored version number, or 0 if not set
+   * Convert pounds to a display unit
+   * @param {number} pounds - Weight in pounds
+   * @param {string} unit - 'lb' or 'kg'
+   * @returns {number} Weight, rounded to a tenth
    */
-  getStoredVersion() {
-    try {
-      return parseInt(localStorage.getItem(this.VERSION_KEY) || '0', 10);
-    } catch (error) {
-      return 0;
-    }
+  fromPounds(pounds, unit) {
+    return Math.round((unit === 'kg' ? pounds * this.KG_PER_POUND : pounds) * 10) / 10;
   },
 
   /**
-   * Initialize data from furniture.json.
-   * Uses version-based sync: when furniture.json version changes,
-   * localStorage is fully replaced. Between version changes,
-   * admin edits in localStorage are preserved.
-   * @returns {Promise<Array>} Array of furniture items
+   * Whether an item has any size or weight set
+   * @param {Object} item - Item
+   * @returns {boolean}
    */
-  async init() {
-    try {
-      const response = await fetch('data/furniture.json');
-      if (response.ok) {
-        const data = await response.json();
-        const jsonItems = data.items || [];
-        const jsonVersion = data.version || 0;
-        const storedVersion = this.getStoredVersion();
-
-        if (jsonVersion > storedVersion) {
-          // New version: replace localStorage entirely
-          this.saveItems(jsonItems);
-          localStorage.setItem(this.VERSION_KEY, String(jsonVersion));
-          console.log(`furniture.json updated (v${storedVersion} → v${jsonVersion}). Replaced localStorage with ${jsonItems.length} items.`);
-          return jsonItems;
-        }
-
-        // Same version: use localStorage (preserves admin edits)
-        const existing = this.loadItems();
-        if (existing.length > 0) {
-          return existing;
-        }
-
-        // localStorage empty but version matches (cleared manually) — re-seed
-        this.saveItems(jsonItems);
-        console.log('Re-seeded localStorage with', jsonItems.length, 'items from furniture.json');
-        return jsonItems;
-      }
-    } catch (error) {
-      console.error('Error loading furniture.json:', error);
-    }
-
-    // Fallback to localStorage if fetch fails
-    const existing = this.loadItems();
-    return existing.length > 0 ? existing : [];
+  hasDimensions(item) {
+    return [...this.DIMENSION_FIELDS, 'weight'].some(field => typeof item[field] === 'number' && item[field] > 0);
   },
 
   /**
-   * Save furniture items to localStorage
-   * @param {Array} items - Array of furniture items to save
-   * @returns {boolean} Success status
+   * Format an item's size, e.g. '84" W × 36" D × 30" H (213 × 91 × 76 cm)'
+   * @param {Object} item - Item
+   * @returns {string} Size text ('' if no dimensions are set)
    */
-  saveItems(items) {
-    try {
-      const data = {
-        items: items,
-        lastUpdated: new Date().toISOString()
-      };
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
-      return true;
-    } catch (error) {
-      console.error('Error saving furniture items:', error);
-      if (error.name === 'QuotaExceededError') {
-        alert('Storage quota exceeded. Please reduce the number or size of images.');
-      }
-      return false;
-    }
+  formatDimensions(item) {
+    const parts = [];
+    const metric = [];
+    this.DIMENSION_FIELDS.forEach(field => {
+      if (typeof item[field] !== 'number' || item[field] <= 0) return;
+      parts.push(`${item[field]}" ${field.charAt(0).toUpperCase()}`);
+      metric.push(this.fromInches(item[field], 'cm'));
+    });
+    if (parts.length === 0) return '';
+    return `${parts.join(' \u00d7 ')} (${metric.join(' \u00d7 ')} cm)`;
   },
 
   /**
-   * Get a single item by ID
-   * @param {string} id - Item ID
-   * @returns {Object|null} Furniture item or null if not found
+   * Format an item's weight, e.g. '45 lb (20 kg)'
+   * @param {Object} item - Item
+   * @returns {string} Weight text ('' if not set)
    */
-  getItemById(id) {
-    const items = this.loadItems();
-    return items.find(item => item.id === id) || null;
+  formatWeight(item) {
+    if (typeof item.weight !== 'number' || item.weight <= 0) return '';
+    return `${item.weight} lb (${Math.round(item.weight * this.KG_PER_POUND)} kg)`;
   },
 
+  // ══════════════════════════════════════════════════════════════
+  // TRASH
+  // ══════════════════════════════════════════════════════════════
+
   /**
-   * Add a new item
-   * @param {Object} item - Furniture item to add
-   * @returns {boolean} Success status
+   * Items in the trash
+   * @returns {Promise<Array>} Trashed items, most recently deleted first
    */
-  addItem(item) {
-    const items = this.loadItems();
-    item.dateUpdated = new Date().toISOString();
-    item.hidden = item.hidden || false;
-    items.push(item);
-    return this.saveItems(items);
+  async loadTrash() {
+    const trashed = (await this.loadAllItems()).filter(item => item.deletedAt);
+    return trashed.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
   },
 
   /**
-   * Update an existing item
-   * @param {string} id - Item ID to update
-   * @param {Object} updatedItem - Updated item data
-   * @returns {boolean} Success status
+   * Move a trashed item back into the catalog
+   * @param {string} id - Item ID
+   * @returns {Promise<boolean>} Success status
    */
-  updateItem(id, updatedItem) {
-    const items = this.loadItems();
-    const index = items.findIndex(item => item.id === id);
-    if (index === -1) {
-      console.error('Item not found:', id);
+  async restoreItem(id) {
+    const items = await this.loadAllItems();
+    const item = items.find(i => i.id === id && i.deletedAt);
+    if (!item) {
+      console.error('Trashed item not found:', id);
       return false;
     }
-    items[index] = {
-      ...updatedItem,
-      id,
-      dateUpdated: new Date().toISOString(),
-      hidden: updatedItem.hidden !== undefined ? updatedItem.hidden : false
-    };
-    return this.saveItems(items);
+    delete item.deletedAt;
+    return this.saveItems(items, 'restore');
   },
 
   /**
-   * Delete an item
-   * @param {string} id - Item ID to delete
-   * @returns {boolean} Success status
+   * Permanently remove trashed items. This cannot be undone: their
+   * history is dropped and images nothing else uses are deleted.
+   * @param {Array<string>|null} ids - Item IDs, or null for the whole trash
+   * @returns {Promise<number>} Number of items removed, or -1 on failure
    */
-  deleteItem(id) {
-    const items = this.loadItems();
-    const filteredItems = items.filter(item => item.id !== id);
-    if (filteredItems.length === items.length) {
-      console.error('Item not found:', id);
-      return false;
-    }
-    return this.saveItems(filteredItems);
+  async purgeTrash(ids = null) {
+    const items = await this.loadAllItems();
+    const purge = item => item.deletedAt && (ids === null || ids.includes(item.id));
+    const kept = items.filter(item => !purge(item));
+    const removed = items.length - kept.length;
+    if (removed === 0) return 0;
+
+    // Write directly: saveItems() would carry the trashed items over
+    await this.ready();
+    if (!(await this.writeItems(kept))) return -1;
+    await this.forgetHistory(items.filter(purge).map(item => item.id));
+    await this.pruneImages();
+    return removed;
   },
 
   /**
@@ -174,10 +2297,10 @@ const FurnitureData = {
   /**
    * Filter items by status
    * @param {string} status - Status to filter by (or 'all')
-   * @returns {Array} Filtered items
+   * @returns {Promise<Array>} Filtered items
    */
-  filterByStatus(status) {
-    const items = this.loadItems();
+  async filterByStatus(status) {
+    const items = await this.loadItems();
     if (status === 'all') {
       return items;
     }
@@ -187,46 +2310,48 @@ const FurnitureData = {
   /**
    * Sort items by price
    * @param {string} order - 'asc' or 'desc'
-   * @returns {Array} Sorted items
+   * @returns {Promise<Array>} Sorted items
    */
-  sortByPrice(order = 'asc') {
-    const items = this.loadItems();
+  async sortByPrice(order = 'asc') {
+    const items = await this.loadItems();
     return items.sort((a, b) => {
       return order === 'asc' ? a.price - b.price : b.price - a.price;
     });
   },
 
   /**
-   * Search items by name or description
+   * Search items, best matches first
    * @param {string} query - Search query
-   * @returns {Array} Matching items
+   * @returns {Promise<Array>} Matching items
    */
-  search(query) {
-    const items = this.loadItems();
-    const lowerQuery = query.toLowerCase();
-    return items.filter(item => {
-      return item.name.toLowerCase().includes(lowerQuery) ||
-             item.description.toLowerCase().includes(lowerQuery);
-    });
+  async search(query) {
+    const items = await this.loadItems();
+    return this.searchItems(items, query).map(result => result.item);
   },
 
   /**
-   * Get storage usage information
-   * @returns {Object} Storage usage stats
+   * Get storage usage information (item records plus image blobs)
+   * @returns {Promise<Object|null>} Storage usage stats
    */
-  getStorageInfo() {
+  async getStorageInfo() {
+    await this.ready();
     try {
-      const data = localStorage.getItem(this.STORAGE_KEY);
-      const sizeInBytes = data ? new Blob([data]).size : 0;
+      const adapter = this.getAdapter();
+      const items = await adapter.getItems();
+      const images = await adapter.getAllImages();
+      const itemBytes = new Blob([JSON.stringify(items)]).size;
+      const imageBytes = images.reduce((sum, blob) => sum + (blob ? blob.size : 0), 0);
+      const sizeInBytes = itemBytes + imageBytes;
       const sizeInKB = (sizeInBytes / 1024).toFixed(2);
       const sizeInMB = (sizeInBytes / (1024 * 1024)).toFixed(2);
-      const itemCount = this.loadItems().length;
+      const itemCount = items.filter(item => !item.deletedAt).length;
 
       return {
         sizeInBytes,
         sizeInKB,
         sizeInMB,
         itemCount,
+        imageCount: images.length,
         formatted: `${sizeInMB} MB (${itemCount} items)`
       };
     } catch (error) {
@@ -236,12 +2361,16 @@ const FurnitureData = {
   },
 
   /**
-   * Clear all data (use with caution)
-   * @returns {boolean} Success status
+   * Clear all items and stored images (use with caution)
+   * @returns {Promise<boolean>} Success status
    */
-  clearAll() {
+  async clearAll() {
+    await this.ready();
     try {
-      localStorage.removeItem(this.STORAGE_KEY);
+      await this.getAdapter().clear();
+      this.imageUrls.forEach(url => URL.revokeObjectURL(url));
+      this.imageUrls.clear();
+      this.broadcastChanges([], 'clear', true);
       return true;
     } catch (error) {
       console.error('Error clearing data:', error);
@@ -250,34 +2379,769 @@ const FurnitureData = {
   },
 
   /**
-   * Export data as JSON string
-   * @returns {string} JSON string of all data
+   * Export data as JSON string. Stored images are inlined as data
+   * URLs so the export can be imported into another browser.
+   * @returns {Promise<string>} JSON string of all data
+   */
+  async exportData() {
+    const items = await this.loadItems();
+    for (const item of items) {
+      if (!item.images) continue;
+      item.images = await Promise.all(item.images.map(async src => (await this.getImageDataUrl(src)) || src));
+    }
+    const views = await this.loadSavedViews();
+    return JSON.stringify({ schemaVersion: FurnitureSchema.CURRENT_VERSION, items, views }, null, 2);
+  },
+
+  /**
+   * Import data from JSON string, replacing all live items. Older
+   * exports are migrated to the current schema first; if any item is
+   * still invalid nothing is written and the errors are left in
+   * lastValidationErrors.
+   * @param {string} jsonString - JSON string to import
+   * @returns {Promise<boolean>} Success status
    */
-  exportData() {
-    const items = this.loadItems();
-    return JSON.stringify({ items }, null, 2);
+  async importData(jsonString) {
+    const plan = await this.previewImport(jsonString, 'replace');
+    return plan ? this.applyImport(plan) : false;
   },
 
+  IMPORT_MODES: ['replace', 'merge', 'add-only'],
+
   /**
-   * Import data from JSON string
+   * Work out what an import would do without writing anything.
+   * 'replace' makes the live items match the file, 'merge' updates
+   * items with matching ids and adds new ones, 'add-only' only adds
+   * items whose id is not in use yet.
    * @param {string} jsonString - JSON string to import
-   * @returns {boolean} Success status
+   * @param {string} mode - One of IMPORT_MODES
+   * @returns {Promise<Object|null>} Plan with added, changed and removed
+   *   entries (null if the file is invalid, see lastValidationErrors)
    */
-  importData(jsonString) {
+  async previewImport(jsonString, mode = 'replace') {
+    this.lastValidationErrors = [];
     try {
-      const data = JSON.parse(jsonString);
-      if (!data.items || !Array.isArray(data.items)) {
-        throw new Error('Invalid data format');
+      if (!this.IMPORT_MODES.includes(mode)) throw new Error(`Unknown import mode: ${mode}`);
+      const data = FurnitureSchema.migrate(JSON.parse(jsonString));
+      const errors = FurnitureSchema.validate(data);
+      if (errors.length > 0) {
+        this.lastValidationErrors = errors;
+        throw new Error(`Invalid data: ${errors.length} schema error(s)`);
       }
-      return this.saveItems(data.items);
+
+      const current = await this.loadItems();
+      const byId = new Map(current.map(item => [item.id, item]));
+      // Exports embed images as data URLs; reuse the stored copies when
+      // the pictures are the same so an unchanged item stays unchanged
+      for (const item of data.items) {
+        const existing = byId.get(item.id);
+        if (!existing || !item.images || !existing.images) continue;
+        if (JSON.stringify(item.images) === JSON.stringify(existing.images)) continue;
+        const resolved = await Promise.all(existing.images.map(async src => (await this.getImageDataUrl(src)) || src));
+        if (JSON.stringify(resolved) === JSON.stringify(item.images)) item.images = existing.images;
+      }
+
+      const plan = { mode, items: data.items, views: this.cleanSavedViews(data.views), added: [], changed: [], removed: [], unchanged: 0, skipped: 0 };
+      this.diffItems(current, data.items).forEach(entry => {
+        if (entry.type === 'add') {
+          plan.added.push({ id: entry.id, item: entry.after });
+        } else if (entry.type === 'update') {
+          if (mode === 'add-only') { plan.skipped++; return; }
+          const changes = entry.changes.filter(c => !this.MERGE_IGNORED_FIELDS.includes(c.field));
+          plan.changed.push({ id: entry.id, item: byId.get(entry.id), changes });
+        } else if (mode === 'replace') {
+          plan.removed.push({ id: entry.id, item: entry.before });
+        }
+      });
+      const listed = plan.added.length + plan.changed.length;
+      plan.unchanged = data.items.length - listed - plan.skipped;
+      return plan;
     } catch (error) {
-      console.error('Error importing data:', error);
-      return false;
+      console.error('Error reading import:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Apply an import plan from previewImport
+   * @param {Object} plan - Plan returned by previewImport
+   * @param {Set<string>|null} acceptedIds - Ids of the plan rows to apply (null for all)
+   * @returns {Promise<boolean>} Success status
+   */
+  async applyImport(plan, acceptedIds = null) {
+    const accepted = entry => acceptedIds === null || acceptedIds.has(entry.id);
+    const incoming = new Map(plan.items.map(item => [item.id, item]));
+    const changed = new Set(plan.changed.filter(accepted).map(entry => entry.id));
+    const removed = new Set(plan.removed.filter(accepted).map(entry => entry.id));
+    const added = plan.added.filter(accepted).map(entry => entry.item);
+
+    let items = (await this.loadItems())
+      .filter(item => !removed.has(item.id))
+      .map(item => changed.has(item.id) ? incoming.get(item.id) : item)
+      .concat(added);
+
+    if (plan.mode === 'replace') {
+      // Follow the file's order; items the user chose to keep go last
+      const order = new Map(plan.items.map((item, index) => [item.id, index]));
+      const rank = item => order.has(item.id) ? order.get(item.id) : Infinity;
+      items = items.map((item, index) => ({ item, index }))
+        .sort((a, b) => (rank(a.item) - rank(b.item)) || (a.index - b.index))
+        .map(entry => entry.item);
+    }
+
+    if (!(await this.saveItems(items, 'import'))) return false;
+    if (plan.views.length > 0) await this.importSavedViews(plan.views);
+    return true;
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // SEARCH: TOKENIZE, STEM, FUZZY MATCH, RANK, HIGHLIGHT
+  // ══════════════════════════════════════════════════════════════
+
+  // How much a match in each field counts; pass { fields } to override
+  SEARCH_WEIGHTS: { name: 4, category: 2, room: 2, tags: 2, description: 1 },
+
+  // Words made of letters (with accents) and digits
+  SEARCH_WORD_PATTERN: /([\p{L}\p{M}\p{N}]+)/u,
+
+  /**
+   * Lowercase a word and strip accents, so "Café" matches "cafe"
+   * @param {string} word - Word
+   * @returns {string} Normalized word
+   */
+  normalizeSearchWord(word) {
+    return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  },
+
+  /**
+   * Reduce a normalized word to a rough stem: plurals and -ing/-ed endings
+   * @param {string} word - Normalized word
+   * @returns {string} Stem
+   */
+  stemSearchWord(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+    if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+    if (/(ss|us|is)$/.test(word)) return word;
+    if (/(ches|shes|sses|xes|zes)$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s')) return word.slice(0, -1);
+    if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+    if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+    return word;
+  },
+
+  /**
+   * Split text into stemmed search terms
+   * @param {string} text - Text
+   * @returns {Array<string>} Terms
+   */
+  tokenizeSearch(text) {
+    return String(text || '')
+      .split(this.SEARCH_WORD_PATTERN)
+      .filter((part, index) => index % 2 === 1)
+      .map(word => this.stemSearchWord(this.normalizeSearchWord(word)));
+  },
+
+  /**
+   * Edit distance counting a swap of neighbouring letters as one edit.
+   * Gives up early once the distance exceeds max.
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} max - Largest distance of interest
+   * @returns {number} Distance, or max + 1 when larger
+   */
+  editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, row[j]);
+      }
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  },
+
+  /**
+   * How well a query term matches a text term: 1 exact, 0.8 prefix
+   * (so results appear while typing), 0.6 within the typo allowance
+   * @param {string} queryTerm - Stemmed query term
+   * @param {string} term - Stemmed text term
+   * @param {Object} options
+   * @param {boolean} options.typing - The term is the last one typed, so
+   *   it matches as a prefix from the first letter
+   * @returns {number} Match strength, 0 for no match
+   */
+  matchSearchTerm(queryTerm, term, { typing = false } = {}) {
+    if (term === queryTerm) return 1;
+    if ((typing || queryTerm.length >= 3) && term.startsWith(queryTerm)) return 0.8;
+    // One typo once either word has 4 letters (so "itm" finds "item"), two from 8
+    let allowed = 0;
+    if (queryTerm.length >= 8) allowed = 2;
+    else if (queryTerm.length >= 3 && Math.max(queryTerm.length, term.length) >= 4) allowed = 1;
+    if (allowed > 0 && this.editDistance(queryTerm, term, allowed) <= allowed) return 0.6;
+    return 0;
+  },
+
+  /**
+   * Text of a searchable field; arrays (tags) are joined
+   * @param {Object} item - Item
+   * @param {string} field - Field name
+   * @returns {string} Text
+   */
+  getSearchText(item, field) {
+    const value = item[field];
+    return Array.isArray(value) ? value.join(' ') : String(value || '');
+  },
+
+  /**
+   * Rank items against a query. Every query term must match some field;
+   * each term scores its best match times the field weight, and a name
+   * containing the whole query scores extra.
+   * @param {Array} items - Items to search
+   * @param {string} query - Search query
+   * @param {Object} options - { fields: weights by field name }
+   * @returns {Array<{item: Object, score: number, fields: Array<string>}>} Best first
+   */
+  searchItems(items, query, { fields = this.SEARCH_WEIGHTS } = {}) {
+    const queryTerms = [...new Set(this.tokenizeSearch(query))];
+    if (queryTerms.length === 0) return items.map(item => ({ item, score: 0, fields: [] }));
+    const phrase = queryTerms.join(' ');
+    const typing = queryTerms[queryTerms.length - 1];
+
+    const results = [];
+    items.forEach(item => {
+      const fieldTerms = Object.keys(fields).map(field => [field, this.tokenizeSearch(this.getSearchText(item, field))]);
+      const matched = new Set();
+      let score = 0;
+
+      const allMatch = queryTerms.every(queryTerm => {
+        let best = 0;
+        fieldTerms.forEach(([field, terms]) => {
+          const strength = Math.max(0, ...terms.map(term => this.matchSearchTerm(queryTerm, term, { typing: queryTerm === typing })));
+          if (strength > 0) matched.add(field);
+          best = Math.max(best, strength * fields[field]);
+        });
+        score += best;
+        return best > 0;
+      });
+      if (!allMatch) return;
+
+      if (queryTerms.length > 1 && fields.name && this.tokenizeSearch(item.name).join(' ').includes(phrase)) {
+        score += fields.name;
+      }
+      results.push({ item, score, fields: [...matched] });
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+  },
+
+  /**
+   * Escape text for use in HTML
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escapeSearchHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  },
+
+  /**
+   * Test for whether a text term matches any query term, with the last
+   * query term matched as it is being typed
+   * @private
+   */
+  createTermMatcher(queryTerms) {
+    const typing = queryTerms[queryTerms.length - 1];
+    return term => queryTerms.some(queryTerm => this.matchSearchTerm(queryTerm, term, { typing: queryTerm === typing }) > 0);
+  },
+
+  /**
+   * Escape text as HTML, wrapping words that match the query in <mark>
+   * @param {string} text - Text
+   * @param {string} query - Search query
+   * @returns {string} HTML
+   */
+  highlightMatches(text, query) {
+    const queryTerms = this.tokenizeSearch(query);
+    const matches = this.createTermMatcher(queryTerms);
+    return String(text || '').split(this.SEARCH_WORD_PATTERN).map((part, index) => {
+      const escaped = this.escapeSearchHtml(part);
+      if (index % 2 === 0 || queryTerms.length === 0) return escaped;
+      const term = this.stemSearchWord(this.normalizeSearchWord(part));
+      return matches(term) ? `<mark>${escaped}</mark>` : escaped;
+    }).join('');
+  },
+
+  /**
+   * A highlighted excerpt of about maxLength characters around the first match
+   * @param {string} text - Text
+   * @param {string} query - Search query
+   * @param {number} maxLength - Excerpt length
+   * @returns {string} HTML
+   */
+  getSearchSnippet(text, query, maxLength = 100) {
+    text = String(text || '');
+    if (text.length <= maxLength) return this.highlightMatches(text, query);
+
+    const matches = this.createTermMatcher(this.tokenizeSearch(query));
+    const parts = text.split(this.SEARCH_WORD_PATTERN);
+    let offset = 0;
+    let matchAt = 0;
+    for (let i = 0; i < parts.length; i++) {
+      if (i % 2 === 1) {
+        const term = this.stemSearchWord(this.normalizeSearchWord(parts[i]));
+        if (matches(term)) {
+          matchAt = offset;
+          break;
+        }
+      }
+      offset += parts[i].length;
+    }
+
+    // Start a third of the way before the match, on a word boundary
+    let start = Math.max(0, Math.min(matchAt - Math.floor(maxLength / 3), text.length - maxLength));
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space === -1 || space > matchAt ? start : space + 1;
+    }
+    const end = Math.min(text.length, start + maxLength);
+    return `${start > 0 ? '\u2026' : ''}${this.highlightMatches(text.slice(start, end), query)}${end < text.length ? '\u2026' : ''}`;
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // SEARCH: QUERY SYNTAX
+  // ══════════════════════════════════════════════════════════════
+
+  /*
+   * Terms are ANDed; a leading '-' negates one:
+   *   status:sold           status:available,discounted
+   *   hidden:true  bo:yes   booleans: true/false, yes/no, 1/0
+   *   price:<100            <, <=, >, >=, =, or a range 100-200
+   *   updated:<7d           edited within 7 days (h, d, w); updated:>2025-01-01 after a date
+   *   category:bedroom  room:office  tag:vintage
+   *   noimage  bundle       flags
+   *   "exact phrase"        anything else is ranked free text
+   */
+  QUERY_FIELDS: {
+    status: { type: 'status', field: 'status' },
+    hidden: { type: 'boolean', field: 'hidden' },
+    bo: { type: 'boolean', field: 'bestOffer' },
+    bestoffer: { type: 'boolean', field: 'bestOffer' },
+    price: { type: 'number', field: 'price' },
+    retail: { type: 'number', field: 'retailPrice' },
+    updated: { type: 'date', field: 'dateUpdated' },
+    added: { type: 'date', field: 'dateAdded' },
+    category: { type: 'facet', field: 'category' },
+    room: { type: 'facet', field: 'room' },
+    tag: { type: 'facet', field: 'tags' }
+  },
+
+  QUERY_FLAGS: {
+    noimage: item => !(item.images && item.images.length > 0),
+    bundle: item => FurnitureData.isBundle(item)
+  },
+
+  QUERY_DURATION_UNITS: { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 },
+
+  /**
+   * Build the test for one field:value term
+   * @param {string} key - Field name as typed
+   * @param {string} value - Value as typed
+   * @param {Date} now - Reference time for relative dates
+   * @returns {Function|string} Test function, or an error message
+   */
+  parseQueryTerm(key, value, now) {
+    const spec = this.QUERY_FIELDS[key];
+    if (!spec) return `Unknown filter "${key}:"`;
+    if (value === '') return `"${key}:" needs a value`;
+    const get = item => item[spec.field];
+
+    if (spec.type === 'status') {
+      const statuses = value.split(',').map(v => v.replace(/-/g, '_'));
+      const unknown = statuses.find(v => !FurnitureSchema.STATUSES.includes(v));
+      if (unknown) return `Unknown status "${unknown}" (use ${FurnitureSchema.STATUSES.join(', ')})`;
+      return item => statuses.includes(get(item));
+    }
+
+    if (spec.type === 'boolean') {
+      if (/^(true|yes|1)$/.test(value)) return item => get(item) === true;
+      if (/^(false|no|0)$/.test(value)) return item => get(item) !== true;
+      return `"${key}:" takes yes or no`;
+    }
+
+    if (spec.type === 'facet') {
+      const wanted = this.normalizeFacetValue(value);
+      return item => this.getFacetValues(item, spec.field).includes(wanted);
+    }
+
+    if (spec.type === 'number') {
+      const range = value.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+      if (range) {
+        const [min, max] = [parseFloat(range[1]), parseFloat(range[2])];
+        return item => get(item) >= min && get(item) <= max;
+      }
+      const match = value.match(/^(<=|>=|<|>|=)?(\d+(?:\.\d+)?)$/);
+      if (!match) return `"${key}:" takes a number like <100, >=50 or 100-200`;
+      const target = parseFloat(match[2]);
+      const compare = { '<': (a, b) => a < b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '>=': (a, b) => a >= b, '=': (a, b) => a === b };
+      return item => typeof get(item) === 'number' && compare[match[1] || '='](get(item), target);
+    }
+
+    // Dates: a relative age ("<7d" = newer than 7 days) or an absolute date
+    const match = value.match(/^(<|>)(.+)$/);
+    if (!match) return `"${key}:" takes <7d, >30d, <2025-01-01 or >2025-01-01`;
+    const time = item => new Date(get(item)).getTime();
+    const age = match[2].match(/^(\d+)([hdw])$/);
+    if (age) {
+      const cutoff = now.getTime() - parseInt(age[1], 10) * this.QUERY_DURATION_UNITS[age[2]];
+      return match[1] === '<' ? item => time(item) > cutoff : item => time(item) < cutoff;
+    }
+    const date = Date.parse(match[2]);
+    if (isNaN(date)) return `"${key}:" takes <7d, >30d, <2025-01-01 or >2025-01-01`;
+    return match[1] === '<' ? item => time(item) < date : item => time(item) > date;
+  },
+
+  /**
+   * Parse a search box query into filters and free text
+   * @param {string} query - Query
+   * @param {Date} now - Reference time for relative dates
+   * @returns {{tests: Array<{negate: boolean, test: Function}>, text: string, highlight: string, errors: Array<string>}}
+   */
+  parseItemQuery(query, now = new Date()) {
+    const parsed = { tests: [], text: '', highlight: '', errors: [] };
+    const words = [];
+    const highlight = [];
+    const pattern = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+      if (match[0] === '') { pattern.lastIndex++; continue; }
+      const negate = Boolean(match[1]);
+      const typedKey = match[2] && match[2].toLowerCase();
+      // Only known fields are filters; "note:" or a pasted http:// link stays free text
+      const key = typedKey && this.QUERY_FIELDS[typedKey] ? typedKey : null;
+      const value = match[3] !== undefined ? match[3] : match[4];
+      const text = typedKey && !key ? `${match[2]}:${value}` : value;
+
+      if (key) {
+        const test = this.parseQueryTerm(key, value.toLowerCase(), now);
+        if (typeof test === 'string') parsed.errors.push(test);
+        else parsed.tests.push({ negate, test });
+      } else if (match[3] !== undefined && !typedKey) {
+        // Quoted phrase: matched as written, ignoring case and accents
+        const phrase = this.normalizeSearchWord(value).replace(/\s+/g, ' ').trim();
+        if (!phrase) continue;
+        parsed.tests.push({
+          negate,
+          test: item => ['name', 'description', 'id'].some(field =>
+            this.normalizeSearchWord(this.getSearchText(item, field)).replace(/\s+/g, ' ').includes(phrase))
+        });
+        if (!negate) highlight.push(value);
+      } else if (this.QUERY_FLAGS[text.toLowerCase()]) {
+        parsed.tests.push({ negate, test: this.QUERY_FLAGS[text.toLowerCase()] });
+      } else if (negate) {
+        parsed.tests.push({ negate, test: item => this.searchItems([item], text).length > 0 });
+      } else if (text !== '-') {
+        words.push(text);
+      }
+    }
+
+    parsed.text = words.join(' ');
+    parsed.highlight = [...words, ...highlight].join(' ');
+    return parsed;
+  },
+
+  /**
+   * Items matching a parsed query; ranked when it has free text
+   * @param {Array} items - Items
+   * @param {Object} parsed - Result of parseItemQuery()
+   * @param {Object} options - Passed to searchItems()
+   * @returns {Array} Matching items
+   */
+  queryItems(items, parsed, options = {}) {
+    const filtered = items.filter(item => parsed.tests.every(({ negate, test }) => Boolean(test(item)) !== negate));
+    return parsed.text ? this.searchItems(filtered, parsed.text, options).map(result => result.item) : filtered;
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // SAVED VIEWS & TABLE STATE
+  // ══════════════════════════════════════════════════════════════
+
+  /*
+   * A view is a named admin table setup:
+   *   { name, search, visibility: 'all' | 'visible' | 'hidden', sortBy, sortOrder }
+   * where search uses the query syntax above.
+   */
+
+  // Offered until the user saves or deletes a view
+  DEFAULT_SAVED_VIEWS: [
+    { name: 'Unpriced items', search: 'price:0', visibility: 'all', sortBy: null, sortOrder: 'asc' },
+    { name: 'Hidden but available', search: 'hidden:yes status:available,newly_added,discounted', visibility: 'all', sortBy: null, sortOrder: 'asc' }
+  ],
+
+  /**
+   * Keep only well-formed views, one per name (the last wins)
+   * @param {*} views - Views from storage or an import file
+   * @returns {Array} Views
+   */
+  cleanSavedViews(views) {
+    if (!Array.isArray(views)) return [];
+    const byName = new Map();
+    views.forEach(view => {
+      if (!view || typeof view.name !== 'string' || !view.name.trim()) return;
+      byName.set(view.name.trim(), {
+        name: view.name.trim(),
+        search: typeof view.search === 'string' ? view.search : '',
+        visibility: ['all', 'visible', 'hidden'].includes(view.visibility) ? view.visibility : 'all',
+        sortBy: typeof view.sortBy === 'string' ? view.sortBy : null,
+        sortOrder: view.sortOrder === 'desc' ? 'desc' : 'asc'
+      });
+    });
+    return [...byName.values()];
+  },
+
+  /**
+   * Load the saved views
+   * @returns {Promise<Array>} Views
+   */
+  async loadSavedViews() {
+    const views = await this.getMeta(this.SAVED_VIEWS_KEY);
+    return views === null ? this.DEFAULT_SAVED_VIEWS.map(view => ({ ...view })) : this.cleanSavedViews(views);
+  },
+
+  /**
+   * Save a view, replacing any view with the same name
+   * @param {Object} view - View
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveView(view) {
+    const views = (await this.loadSavedViews()).filter(v => v.name !== view.name.trim());
+    return this.setMeta(this.SAVED_VIEWS_KEY, this.cleanSavedViews([...views, view]));
+  },
+
+  /**
+   * Delete a view by name
+   * @param {string} name - View name
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteView(name) {
+    const views = (await this.loadSavedViews()).filter(v => v.name !== name);
+    return this.setMeta(this.SAVED_VIEWS_KEY, views);
+  },
+
+  /**
+   * Add imported views; an imported view replaces one with the same name
+   * @param {Array} views - Views
+   * @returns {Promise<boolean>} Success status
+   */
+  async importSavedViews(views) {
+    return this.setMeta(this.SAVED_VIEWS_KEY, this.cleanSavedViews([...(await this.loadSavedViews()), ...views]));
+  },
+
+  /**
+   * Load the admin table state (filter, search, sort, selection)
+   * @returns {Promise<Object|null>} State, or null if never saved
+   */
+  async loadTableState() {
+    return this.getMeta(this.TABLE_STATE_KEY);
+  },
+
+  /**
+   * Remember the admin table state for the next visit
+   * @param {Object} state - { search, visibility, sortBy, sortOrder, selected }
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveTableState(state) {
+    return this.setMeta(this.TABLE_STATE_KEY, state);
+  },
+
+  // ══════════════════════════════════════════════════════════════
+  // CSV
+  // ══════════════════════════════════════════════════════════════
+
+  CSV_COLUMNS: [
+    'id', 'name', 'description', 'price', 'bestOffer', 'offerFloor', 'retailPrice',
+    'productLink', 'status', 'hidden', 'category', 'room', 'tags',
+    'width', 'depth', 'height', 'weight', 'dateAdded', 'dateUpdated', 'images'
+  ],
+
+  /** Spreadsheet headers we understand, keyed by lowercase letters/digits only */
+  CSV_HEADER_ALIASES: {
+    id: 'id', itemid: 'id',
+    name: 'name', title: 'name', item: 'name',
+    description: 'description', desc: 'description', notes: 'description',
+    price: 'price', askingprice: 'price',
+    bestoffer: 'bestOffer', bo: 'bestOffer', obo: 'bestOffer',
+    offerfloor: 'offerFloor', minoffer: 'offerFloor', lowestoffer: 'offerFloor',
+    retailprice: 'retailPrice', retail: 'retailPrice', msrp: 'retailPrice', originalprice: 'retailPrice',
+    productlink: 'productLink', link: 'productLink', url: 'productLink',
+    status: 'status',
+    hidden: 'hidden',
+    category: 'category', type: 'category',
+    room: 'room', location: 'room',
+    tags: 'tags', tag: 'tags', keywords: 'tags',
+    width: 'width', widthin: 'width', w: 'width',
+    depth: 'depth', depthin: 'depth', d: 'depth',
+    height: 'height', heightin: 'height', h: 'height',
+    weight: 'weight', weightlb: 'weight', weightlbs: 'weight',
+    dateadded: 'dateAdded', added: 'dateAdded',
+    dateupdated: 'dateUpdated', updated: 'dateUpdated', lastedit: 'dateUpdated',
+    images: 'images', image: 'images', photos: 'images', imagepaths: 'images'
+  },
+
+  /** Separator for several image paths or tags in one cell */
+  CSV_LIST_SEPARATOR: '|',
+
+  /**
+   * Serialize items to CSV with a header row
+   * @param {Array} items - Items to write
+   * @returns {string} CSV text
+   */
+  itemsToCsv(items) {
+    const cell = (value) => {
+      if (value === undefined || value === null) return '';
+      const text = Array.isArray(value) ? value.join(this.CSV_LIST_SEPARATOR) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    // Local images mean nothing outside this browser; only published paths are exported
+    const value = (item, field) => field === 'images'
+      ? (item.images || []).filter(src => !this.isLocalImage(src))
+      : item[field];
+    const lines = [this.CSV_COLUMNS.join(',')];
+    items.forEach(item => lines.push(this.CSV_COLUMNS.map(field => cell(value(item, field))).join(',')));
+    return lines.join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Split CSV text into rows of cells. Handles quoted cells with commas,
+   * doubled quotes and line breaks, CRLF line endings and a leading BOM.
+   * @param {string} text - CSV text
+   * @returns {Array<Array<string>>} Rows, blank lines dropped
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    text = text.replace(/^\ufeff/, '');
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(cell); cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell); rows.push(row);
+        row = []; cell = '';
+      } else {
+        cell += ch;
+      }
     }
+    if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+  },
+
+  /**
+   * Map spreadsheet headers to item fields
+   * @param {Array<string>} headers - Header row
+   * @returns {Array<string|null>} Field per column (null for unknown columns)
+   */
+  mapCsvHeaders(headers) {
+    return headers.map(header => this.CSV_HEADER_ALIASES[header.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+  },
+
+  /**
+   * Coerce one CSV row into item fields. Only mapped columns are set,
+   * so a sheet with just id and price updates prices and nothing else.
+   * @param {Array<string>} cells - Row cells
+   * @param {Array<string|null>} fields - From mapCsvHeaders()
+   * @returns {{fields: Object, errors: Array<string>}}
+   */
+  csvRowToFields(cells, fields) {
+    const result = {};
+    const errors = [];
+    const toNumber = (raw, field) => {
+      const value = Number(raw.replace(/[$,\s]/g, ''));
+      if (!isFinite(value)) errors.push(`${field} is not a number: "${raw}"`);
+      return value;
+    };
+    const toBoolean = (raw, field) => {
+      const value = raw.toLowerCase();
+      if (['true', 'yes', 'y', '1', 'x'].includes(value)) return true;
+      if (['', 'false', 'no', 'n', '0'].includes(value)) return false;
+      errors.push(`${field} should be yes or no: "${raw}"`);
+      return false;
+    };
+    const toDate = (raw, field) => {
+      if (isNaN(Date.parse(raw))) errors.push(`${field} is not a valid date: "${raw}"`);
+      return raw;
+    };
+
+    fields.forEach((field, index) => {
+      if (!field) return;
+      const raw = (cells[index] || '').trim();
+      switch (field) {
+        case 'price':
+          result.price = raw === '' ? 0 : toNumber(raw, field);
+          break;
+        case 'retailPrice':
+        case 'offerFloor':
+        case 'width':
+        case 'depth':
+        case 'height':
+        case 'weight':
+          result[field] = raw === '' ? null : toNumber(raw, field);
+          break;
+        case 'bestOffer':
+        case 'hidden':
+          result[field] = toBoolean(raw, field);
+          break;
+        case 'status':
+          result.status = raw.toLowerCase().replace(/[\s-]+/g, '_');
+          break;
+        case 'productLink':
+          result.productLink = raw || null;
+          break;
+        case 'images':
+          result.images = raw.split(this.CSV_LIST_SEPARATOR).map(src => src.trim()).filter(Boolean);
+          break;
+        case 'category':
+        case 'room':
+          result[field] = this.normalizeFacetValue(raw);
+          break;
+        case 'tags':
+          result.tags = this.parseTags(raw.split(this.CSV_LIST_SEPARATOR).join(','));
+          break;
+        case 'dateAdded':
+        case 'dateUpdated':
+          if (raw !== '') result[field] = toDate(raw, field);
+          break;
+        default:
+          result[field] = raw;
+      }
+    });
+    return { fields: result, errors };
   }
 };
 
 // Make it available globally
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = FurnitureData;
+  module.exports.StorageAdapters = StorageAdapters;
+  module.exports.FurnitureSchema = FurnitureSchema;
 }
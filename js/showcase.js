@@ -13,10 +13,26 @@ const state = {
     currentFilter: 'all',
     currentSort: 'price-high',
     searchQuery: '',
+    searchScores: new Map(), // item ID -> relevance for the current query
+    sortBeforeSearch: null, // restored when the search is cleared
+    facets: {
+        category: new Set(),
+        room: new Set(),
+        tags: new Set()
+    },
+    maxWidth: null, // inches
+    maxDepth: null, // inches
+    sizeUnit: 'in',
+    minPrice: null, // dollars; null = no limit
+    maxPrice: null,
+    minPercentOff: null, // minimum % below retailPrice
+    bestOfferOnly: false,
+    renderLimit: 24, // cards in the grid, one RENDER_PAGE_SIZE page at a time
     lightbox: {
         isOpen: false,
         currentItem: null,
-        currentImageIndex: 0
+        currentImageIndex: 0,
+        zoom: { scale: 1, x: 0, y: 0 } // x/y: pan in px
     }
 };
 
@@ -26,20 +42,64 @@ const state = {
 
 const elements = {
     furnitureGrid: document.getElementById('furnitureGrid'),
+    loadMore: document.getElementById('loadMore'),
+    loadMoreButton: document.getElementById('loadMoreButton'),
     searchInput: document.getElementById('searchInput'),
     sortSelect: document.getElementById('sortSelect'),
     filterButtons: document.querySelectorAll('.filter-btn'),
     resultsCount: document.getElementById('resultsCount'),
+    announcer: document.getElementById('announcer'),
+    facetFilters: document.getElementById('facetFilters'),
+    facetGroups: document.getElementById('facetGroups'),
+    facetSummary: document.getElementById('facetSummary'),
+    facetClear: document.getElementById('facetClear'),
+    maxWidthInput: document.getElementById('maxWidthInput'),
+    maxDepthInput: document.getElementById('maxDepthInput'),
+    sizeUnitSelect: document.getElementById('sizeUnitSelect'),
+    minPriceInput: document.getElementById('minPriceInput'),
+    maxPriceInput: document.getElementById('maxPriceInput'),
+    priceRangeLabel: document.getElementById('priceRangeLabel'),
+    minPercentOffSelect: document.getElementById('minPercentOffSelect'),
+    bestOfferOnlyInput: document.getElementById('bestOfferOnlyInput'),
     emptyState: document.getElementById('emptyState'),
     loadingState: document.getElementById('loadingState'),
     lightbox: document.getElementById('lightbox'),
     lightboxImage: document.getElementById('lightboxImage'),
+    lightboxStage: document.getElementById('lightboxStage'),
+    lightboxFilmstrip: document.getElementById('lightboxFilmstrip'),
+    lightboxPrice: document.getElementById('lightboxPrice'),
+    lightboxDescription: document.getElementById('lightboxDescription'),
+    lightboxProductLink: document.getElementById('lightboxProductLink'),
     lightboxTitle: document.getElementById('lightboxTitle'),
+    lightboxDimensions: document.getElementById('lightboxDimensions'),
     lightboxCounter: document.getElementById('lightboxCounter'),
     lightboxClose: document.getElementById('lightboxClose'),
     lightboxPrev: document.getElementById('lightboxPrev'),
     lightboxNext: document.getElementById('lightboxNext'),
-    lightboxOverlay: document.getElementById('lightboxOverlay')
+    lightboxOverlay: document.getElementById('lightboxOverlay'),
+    lightboxShortlist: document.getElementById('lightboxShortlist'),
+    contactEmail: document.getElementById('contactEmail'),
+    shortlistButton: document.getElementById('shortlistButton'),
+    shortlistCount: document.getElementById('shortlistCount'),
+    shortlistDrawer: document.getElementById('shortlistDrawer'),
+    shortlistClose: document.getElementById('shortlistClose'),
+    shortlistItems: document.getElementById('shortlistItems'),
+    shortlistTotal: document.getElementById('shortlistTotal'),
+    shortlistInquiry: document.getElementById('shortlistInquiry'),
+    shortlistClearBtn: document.getElementById('shortlistClearBtn'),
+    contactPhone: document.getElementById('contactPhone'),
+    offersSection: document.getElementById('offersSection'),
+    offersList: document.getElementById('offersList'),
+    offerDialog: document.getElementById('offerDialog'),
+    offerOverlay: document.getElementById('offerOverlay'),
+    offerForm: document.getElementById('offerForm'),
+    offerItem: document.getElementById('offerItem'),
+    offerAmount: document.getElementById('offerAmount'),
+    offerMessages: document.getElementById('offerMessages'),
+    offerName: document.getElementById('offerName'),
+    offerContact: document.getElementById('offerContact'),
+    offerPickup: document.getElementById('offerPickup'),
+    offerCancel: document.getElementById('offerCancel')
 };
 
 // ========================================
@@ -48,20 +108,23 @@ const elements = {
 
 /**
  * Load furniture data using shared FurnitureData module
- * Seeds localStorage from furniture.json if empty, then loads items
+ * Seeds local storage from furniture.json if empty, then loads items
  */
 async function loadFurnitureData() {
     try {
-        // Use shared data module - seeds from furniture.json if localStorage is empty
+        // Use shared data module - seeds from furniture.json if storage is empty
         await FurnitureData.init();
-        const allItems = FurnitureData.loadItems();
+        const allItems = await FurnitureData.loadItems();
 
         // Filter out hidden items from public view
         state.furniture = allItems.filter(item => item.hidden !== true);
+        pruneCardCache();
         console.log('Loaded furniture data:', state.furniture.length, 'items (', allItems.length - state.furniture.length, 'hidden)');
 
         // Initialize the app with default sort applied
+        initPriceRange();
         applyFiltersAndSort();
+        renderShortlist();
 
     } catch (error) {
         console.error('Error loading furniture data:', error);
@@ -86,6 +149,17 @@ function hideLoading() {
 // Rendering Functions
 // ========================================
 
+/*
+ * Cards are built once per item and reused while the item and the search
+ * highlight are unchanged, so filtering only moves existing cards around.
+ * The grid holds the first state.renderLimit results; "Show more" (or
+ * scrolling near it) adds another page.
+ */
+
+const RENDER_PAGE_SIZE = 24;
+const cardCache = new Map(); // item ID -> { signature, card, query }
+let loadMoreObserver = null;
+
 /**
  * Render furniture cards to the grid
  */
@@ -94,24 +168,135 @@ function renderFurniture() {
 
     if (!grid) return;
 
-    // Clear the grid
-    grid.innerHTML = '';
-
     // Show empty state if no results
     if (state.filteredFurniture.length === 0) {
+        grid.innerHTML = '';
         elements.emptyState.style.display = 'block';
+        updateLoadMore();
         return;
     } else {
         elements.emptyState.style.display = 'none';
     }
 
-    // Render each furniture item
-    state.filteredFurniture.forEach(item => {
-        const card = createFurnitureCard(item);
-        grid.appendChild(card);
+    const anchor = getScrollAnchor();
+
+    // Put the cards in result order, reusing the ones already built
+    const visible = state.filteredFurniture.slice(0, state.renderLimit);
+    visible.forEach((item, index) => {
+        const card = getCard(item);
+        const current = grid.children[index];
+        if (current !== card) grid.insertBefore(card, current || null);
+    });
+    while (grid.children.length > visible.length) {
+        grid.removeChild(grid.lastElementChild);
+    }
+
+    restoreScrollAnchor(anchor);
+    updateLoadMore();
+}
+
+/**
+ * Cached card for an item, rebuilt when the item or the items it links
+ * to (bundle members or bundles) changed. A new search query only
+ * re-marks the matches in a reused card.
+ */
+function getCard(item) {
+    const links = getBundleLinks(item).map(other => [other.id, other.name]);
+    const signature = `${JSON.stringify(item)}\n${JSON.stringify(links)}`;
+    const cached = cardCache.get(item.id);
+    if (cached && cached.signature === signature) {
+        if (cached.query !== state.searchQuery) highlightCard(cached, item);
+        return cached.card;
+    }
+
+    const card = createFurnitureCard(item);
+    if (cached && cached.card.parentNode) cached.card.replaceWith(card);
+    cardCache.set(item.id, { signature, card, query: state.searchQuery });
+    return card;
+}
+
+/**
+ * Mark the current search matches in a cached card's title and description
+ */
+function highlightCard(cached, item) {
+    cached.card.querySelector('.card-title').innerHTML = highlightSearch(item.name);
+    cached.card.querySelector('.card-description').innerHTML = highlightSearch(item.description);
+    cached.query = state.searchQuery;
+}
+
+/**
+ * Drop cards for items that are no longer listed
+ */
+function pruneCardCache() {
+    const ids = new Set(state.furniture.map(item => item.id));
+    cardCache.forEach((_, id) => {
+        if (!ids.has(id)) cardCache.delete(id);
     });
 }
 
+/**
+ * First card on screen and where it sits, once the buyer has scrolled into the grid
+ */
+function getScrollAnchor() {
+    const grid = elements.furnitureGrid;
+    if (grid.getBoundingClientRect().top >= 0) return null;
+
+    for (const card of grid.children) {
+        const rect = card.getBoundingClientRect();
+        if (rect.bottom > 0) return { card, top: rect.top };
+    }
+    return null;
+}
+
+/**
+ * Keep the anchor card where it was if it survived the re-render
+ */
+function restoreScrollAnchor(anchor) {
+    if (!anchor || anchor.card.parentNode !== elements.furnitureGrid) return;
+    const shift = anchor.card.getBoundingClientRect().top - anchor.top;
+    if (shift) window.scrollBy(0, shift);
+}
+
+/**
+ * Show or hide "Show more" and re-check whether it is already in view
+ */
+function updateLoadMore() {
+    if (!elements.loadMore) return;
+    const remaining = state.filteredFurniture.length - Math.min(state.renderLimit, state.filteredFurniture.length);
+
+    elements.loadMore.style.display = remaining > 0 ? '' : 'none';
+    elements.loadMoreButton.textContent = `Show more (${remaining} left)`;
+
+    if (loadMoreObserver && remaining > 0) {
+        loadMoreObserver.unobserve(elements.loadMore);
+        loadMoreObserver.observe(elements.loadMore);
+    }
+}
+
+/**
+ * Add the next page of cards
+ */
+function showMoreCards() {
+    if (state.renderLimit >= state.filteredFurniture.length) return;
+    state.renderLimit += RENDER_PAGE_SIZE;
+    renderFurniture();
+}
+
+/**
+ * Make sure an item's card is in the grid, growing the page if needed
+ * @returns {HTMLElement|null} The card, or null if the item is filtered out
+ */
+function revealCard(itemId) {
+    const index = state.filteredFurniture.findIndex(item => item.id === itemId);
+    if (index === -1) return null;
+
+    if (index >= state.renderLimit) {
+        state.renderLimit = Math.ceil((index + 1) / RENDER_PAGE_SIZE) * RENDER_PAGE_SIZE;
+        renderFurniture();
+    }
+    return cardCache.get(itemId).card;
+}
+
 /**
  * Create a furniture card element
  */
@@ -128,22 +313,24 @@ function createFurnitureCard(item) {
     if (hasImages) {
         if (hasMultiplePhotos) {
             imagesHTML = `
-                <div class="card-image-carousel" data-item-id="${item.id}">
+                <div class="card-image-carousel" data-item-id="${item.id}" role="group" aria-roledescription="carousel" aria-label="Photos of ${escapeHtml(item.name)}">
                     ${item.images.map((img, idx) => `
                         <img
-                            src="${img}"
-                            alt="${escapeHtml(item.name)} - Photo ${idx + 1}"
+                            ${createCardImageAttrs(img, idx > 0)}
+                            alt="${escapeHtml(item.name)} - Photo ${idx + 1} of ${item.images.length}"
                             class="card-image ${idx === 0 ? 'active' : ''}"
-                            onclick="openLightbox('${item.id}', ${idx})"
-                            onerror="this.src='images/placeholder.jpg'"
+                            role="button"
+                            tabindex="${idx === 0 ? 0 : -1}"
+                            ${idx === 0 ? '' : 'aria-hidden="true"'}
+                            data-action="open-lightbox"
                             data-index="${idx}"
                         >
                     `).join('')}
-                    <button class="carousel-prev" onclick="event.stopPropagation(); scrollCardImage('${item.id}', -1)">‹</button>
-                    <button class="carousel-next" onclick="event.stopPropagation(); scrollCardImage('${item.id}', 1)">›</button>
-                    <div class="carousel-dots">
+                    <button type="button" class="carousel-prev" data-action="scroll-photos" data-direction="-1" aria-label="Previous photo">‹</button>
+                    <button type="button" class="carousel-next" data-action="scroll-photos" data-direction="1" aria-label="Next photo">›</button>
+                    <div class="carousel-dots" role="group" aria-label="Choose photo">
                         ${item.images.map((_, idx) => `
-                            <span class="dot ${idx === 0 ? 'active' : ''}" onclick="event.stopPropagation(); setCardImage('${item.id}', ${idx})"></span>
+                            <button type="button" class="dot ${idx === 0 ? 'active' : ''}" data-action="set-photo" data-index="${idx}" aria-label="Photo ${idx + 1} of ${item.images.length}" aria-current="${idx === 0}"></button>
                         `).join('')}
                     </div>
                 </div>
@@ -151,11 +338,13 @@ function createFurnitureCard(item) {
         } else {
             imagesHTML = `
                 <img
-                    src="${item.images[0]}"
+                    ${createCardImageAttrs(item.images[0], false)}
                     alt="${escapeHtml(item.name)}"
                     class="card-image"
-                    onclick="openLightbox('${item.id}', 0)"
-                    onerror="this.src='images/placeholder.jpg'"
+                    role="button"
+                    tabindex="0"
+                    data-action="open-lightbox"
+                    data-index="0"
                 >
             `;
         }
@@ -177,15 +366,18 @@ function createFurnitureCard(item) {
     card.innerHTML = `
         <div class="card-image-container">
             ${imagesHTML}
+            ${createShortlistButtonHTML(item)}
             <div class="card-status-badge ${item.status}">${formatStatus(item.status)}</div>
             ${photoCountBadge}
         </div>
         <div class="card-content">
-            <h3 class="card-title">${escapeHtml(item.name)}</h3>
-            <p class="card-description">${escapeHtml(item.description)}</p>
+            <h3 class="card-title">${highlightSearch(item.name)}</h3>
+            <p class="card-description">${highlightSearch(item.description)}</p>
+            ${FurnitureData.hasDimensions(item) ? `<p class="card-dimensions">${escapeHtml(formatItemSize(item))}</p>` : ''}
+            ${createBundleLinksHTML(item)}
             ${item.productLink ? `
                 <div class="card-product-link">
-                    <a href="${escapeHtml(item.productLink)}" target="_blank" rel="noopener noreferrer" onclick="event.stopPropagation()">
+                    <a href="${escapeHtml(item.productLink)}" target="_blank" rel="noopener noreferrer">
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path>
                             <polyline points="15 3 21 3 21 9"></polyline>
@@ -197,20 +389,66 @@ function createFurnitureCard(item) {
             ` : ''}
             <div class="card-footer">
                 <div class="card-price-section">
-                    ${item.retailPrice ? `<div class="card-retail-price">Retails for: $${item.retailPrice.toLocaleString()}</div>` : ''}
-                    ${(!item.price || item.price === 0)
-                        ? `<div class="card-price best-offer-highlight">Best Offer</div>`
-                        : `<div class="card-price"><span class="price-label">Asking price:</span> $${item.price.toLocaleString()}${item.bestOffer ? ' <span class="best-offer-tag">or best offer</span>' : ''}</div>`
-                    }
+                    ${createPriceHTML(item)}
                 </div>
-                ${hasMultiplePhotos ? `<a class="card-view-all" onclick="openLightbox('${item.id}', 0)">View All Photos</a>` : ''}
+                ${hasMultiplePhotos ? `<button type="button" class="card-view-all" data-action="open-lightbox" data-index="0">View All Photos</button>` : ''}
             </div>
+            ${createOfferHTML(item)}
         </div>
     `;
 
     return card;
 }
 
+/**
+ * Retail and asking price lines, shared by the card and the lightbox
+ */
+function createPriceHTML(item) {
+    const retail = item.retailPrice ? `<div class="card-retail-price">Retails for: $${item.retailPrice.toLocaleString()}</div>` : '';
+    const asking = (!item.price || item.price === 0)
+        ? `<div class="card-price best-offer-highlight">Best Offer</div>`
+        : `<div class="card-price"><span class="price-label">Asking price:</span> ${createPriceDropHTML(item)}$${item.price.toLocaleString()}${item.bestOffer ? ' <span class="best-offer-tag">or best offer</span>' : ''}</div>`;
+    return retail + asking;
+}
+
+/**
+ * Previous asking price struck through, for items whose price dropped
+ */
+function createPriceDropHTML(item) {
+    const drop = FurnitureData.getPriceDrop(item);
+    if (!drop) return '';
+    return `<s class="card-previous-price">$${drop.previous.toLocaleString()}</s> <span class="card-price-drop">-${drop.percent}%</span> `;
+}
+
+/**
+ * Size and weight on one line, e.g. 'Size: 84" W × 36" D · 45 lb (20 kg)'
+ */
+function formatItemSize(item) {
+    const size = FurnitureData.formatDimensions(item);
+    const weight = FurnitureData.formatWeight(item);
+    return [size && `Size: ${size}`, weight && `Weight: ${weight}`].filter(Boolean).join(' \u00b7 ');
+}
+
+/**
+ * Items a card links to: a bundle's members, or the bundles an item is part of
+ */
+function getBundleLinks(item) {
+    return FurnitureData.isBundle(item)
+        ? FurnitureData.getBundleMembers(item, state.furniture)
+        : FurnitureData.getBundlesFor(item.id, state.furniture);
+}
+
+/**
+ * Build the "Includes" / "Part of bundle" links for a card
+ */
+function createBundleLinksHTML(item) {
+    const link = other => `<a href="#/item/${encodeURIComponent(other.id)}" data-action="show-item" data-item-id="${other.id}">${escapeHtml(other.name)}</a>`;
+    const linked = getBundleLinks(item);
+    if (linked.length === 0) return '';
+    const label = FurnitureData.isBundle(item) ? 'Includes:' : 'Part of bundle:';
+    return `<div class="card-bundle"><span class="bundle-label">${label}</span> ${linked.map(link).join(', ')}</div>`;
+}
+
 /**
  * Format status for display
  */
@@ -234,6 +472,13 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Escape text, marking words that match the current search
+ */
+function highlightSearch(text) {
+    return state.searchQuery ? FurnitureData.highlightMatches(text, state.searchQuery) : escapeHtml(text);
+}
+
 /**
  * Update results count text
  */
@@ -247,11 +492,244 @@ function updateResultsCount() {
         text += ` (${formatStatus(state.currentFilter)})`;
     }
 
+    const facetValues = FurnitureData.FACETS.flatMap(facet => [...state.facets[facet]]);
+    if (facetValues.length > 0) {
+        text += ` in ${facetValues.map(formatFacetValue).join(', ')}`;
+    }
+
+    const priceLimits = [];
+    if (state.minPrice !== null || state.maxPrice !== null) priceLimits.push(formatPriceRange());
+    if (state.minPercentOff !== null) priceLimits.push(`${state.minPercentOff}%+ off retail`);
+    if (state.bestOfferOnly) priceLimits.push('open to offers');
+    if (priceLimits.length > 0) {
+        text += ` priced ${priceLimits.join(', ')}`;
+    }
+
+    const sizeLimits = [];
+    if (state.maxWidth !== null) sizeLimits.push(`${formatLength(state.maxWidth)} wide`);
+    if (state.maxDepth !== null) sizeLimits.push(`${formatLength(state.maxDepth)} deep`);
+    if (sizeLimits.length > 0) {
+        text += ` up to ${sizeLimits.join(' and ')}`;
+    }
+
     if (state.searchQuery) {
         text += ` matching "${state.searchQuery}"`;
     }
 
     elements.resultsCount.textContent = text;
+
+    // Read the new count once typing or clicking settles; not on first load
+    if (routing.ready) announce(text, 800);
+}
+
+// ========================================
+// Facet Filters
+// ========================================
+
+const FACET_LABELS = {
+    category: 'Category',
+    room: 'Room',
+    tags: 'Tags'
+};
+
+/**
+ * Format a category, room or tag for display
+ */
+function formatFacetValue(value) {
+    return value.replace(/\b\w/g, ch => ch.toUpperCase());
+}
+
+/**
+ * Render facet chips with counts for the items left after status and search
+ */
+function renderFacets(items) {
+    if (!elements.facetGroups) return;
+
+    const counts = FurnitureData.countFacets(items, state.facets, state.furniture);
+    const groups = FurnitureData.FACETS.map(facet => {
+        const values = counts[facet];
+        if (values.size === 0) return '';
+        const chips = [...values].map(([value, count]) => {
+            const active = state.facets[facet].has(value);
+            return `<button type="button" class="facet-chip ${active ? 'active' : ''}" data-facet="${facet}" data-value="${escapeHtml(value)}" aria-pressed="${active}" ${count === 0 && !active ? 'disabled' : ''}>${escapeHtml(formatFacetValue(value))} <span class="facet-count">${count}</span></button>`;
+        }).join('');
+        return `<div class="facet-group"><span class="facet-label">${FACET_LABELS[facet]}</span>${chips}</div>`;
+    }).filter(Boolean);
+
+    elements.facetGroups.innerHTML = groups.join('');
+
+    const selected = FurnitureData.FACETS.reduce((sum, facet) => sum + state.facets[facet].size, 0) +
+        (state.maxWidth !== null ? 1 : 0) + (state.maxDepth !== null ? 1 : 0) +
+        (state.minPrice !== null || state.maxPrice !== null ? 1 : 0) +
+        (state.minPercentOff !== null ? 1 : 0) + (state.bestOfferOnly ? 1 : 0);
+    elements.facetSummary.textContent = selected > 0 ? `(${selected} selected)` : '';
+    elements.facetClear.style.display = selected > 0 ? '' : 'none';
+}
+
+/**
+ * Toggle a facet value on or off
+ */
+function handleFacetToggle(facet, value) {
+    const selected = state.facets[facet];
+    if (selected.has(value)) {
+        selected.delete(value);
+    } else {
+        selected.add(value);
+    }
+    applyFiltersAndSort();
+}
+
+/**
+ * Reset facet selections and size limits without re-rendering
+ */
+function resetFacets() {
+    FurnitureData.FACETS.forEach(facet => state.facets[facet].clear());
+    state.maxWidth = null;
+    state.maxDepth = null;
+    elements.maxWidthInput.value = '';
+    elements.maxDepthInput.value = '';
+    state.minPrice = null;
+    state.maxPrice = null;
+    state.minPercentOff = null;
+    state.bestOfferOnly = false;
+    updatePriceInputs();
+    elements.minPercentOffSelect.value = '';
+    elements.bestOfferOnlyInput.checked = false;
+}
+
+/**
+ * Clear all facet selections and size limits
+ */
+function clearFacets() {
+    resetFacets();
+    applyFiltersAndSort();
+}
+
+// ========================================
+// Size Filter
+// ========================================
+
+/**
+ * Format a length in inches in the buyer's chosen unit
+ */
+function formatLength(inches) {
+    return state.sizeUnit === 'cm'
+        ? `${FurnitureData.fromInches(inches, 'cm')} cm`
+        : `${FurnitureData.fromInches(inches, 'in')}"`;
+}
+
+/**
+ * Read the max width / depth inputs (in the chosen unit) into state as inches
+ */
+function handleSizeChange() {
+    readSizeLimits();
+    applyFiltersAndSort();
+}
+
+/**
+ * Read the size inputs into state without re-rendering
+ */
+function readSizeLimits() {
+    const read = (input) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) || value <= 0 ? null : FurnitureData.toInches(value, state.sizeUnit);
+    };
+    state.maxWidth = read(elements.maxWidthInput);
+    state.maxDepth = read(elements.maxDepthInput);
+}
+
+/**
+ * Switch the size filter unit, converting what the buyer already typed
+ */
+function handleSizeUnitChange(unit) {
+    state.sizeUnit = unit;
+    if (state.maxWidth !== null) elements.maxWidthInput.value = FurnitureData.fromInches(state.maxWidth, unit);
+    if (state.maxDepth !== null) elements.maxDepthInput.value = FurnitureData.fromInches(state.maxDepth, unit);
+    updateResultsCount();
+    syncUrl();
+}
+
+/**
+ * Keep items that fit within the size limits; items without a
+ * measurement can't be confirmed to fit, so they drop out
+ */
+function fitsSizeLimits(item) {
+    const fits = (value, limit) => limit === null || (typeof value === 'number' && value > 0 && value <= limit);
+    return fits(item.width, state.maxWidth) && fits(item.depth, state.maxDepth);
+}
+
+// ========================================
+// Price Filters
+// ========================================
+
+const PRICE_STEP = 10;
+
+/**
+ * Set the slider range from the most expensive listed item
+ */
+function initPriceRange() {
+    const highest = Math.max(0, ...state.furniture.map(item => item.price || 0));
+    const max = Math.max(PRICE_STEP, Math.ceil(highest / 50) * 50);
+    [elements.minPriceInput, elements.maxPriceInput].forEach(input => {
+        input.max = max;
+        input.step = PRICE_STEP;
+    });
+    updatePriceInputs();
+}
+
+/**
+ * Move the slider handles to match state
+ */
+function updatePriceInputs() {
+    elements.minPriceInput.value = state.minPrice !== null ? state.minPrice : 0;
+    elements.maxPriceInput.value = state.maxPrice !== null ? state.maxPrice : elements.maxPriceInput.max;
+    elements.priceRangeLabel.textContent = formatPriceRange();
+}
+
+/**
+ * "$100 – $500", "$100+", "Up to $500" or "Any price"
+ */
+function formatPriceRange() {
+    const { minPrice: min, maxPrice: max } = state;
+    if (min !== null && max !== null) return `$${min.toLocaleString()} \u2013 $${max.toLocaleString()}`;
+    if (min !== null) return `$${min.toLocaleString()}+`;
+    if (max !== null) return `Up to $${max.toLocaleString()}`;
+    return 'Any price';
+}
+
+/**
+ * Read the slider handles; a handle at either end means no limit.
+ * The handle being dragged can't pass the other one.
+ */
+function handlePriceRangeInput(e) {
+    let min = parseFloat(elements.minPriceInput.value);
+    let max = parseFloat(elements.maxPriceInput.value);
+    if (min > max) {
+        if (e && e.target === elements.minPriceInput) min = max;
+        else max = min;
+        elements.minPriceInput.value = min;
+        elements.maxPriceInput.value = max;
+    }
+    state.minPrice = min > 0 ? min : null;
+    state.maxPrice = max < parseFloat(elements.maxPriceInput.max) ? max : null;
+    elements.priceRangeLabel.textContent = formatPriceRange();
+}
+
+/**
+ * Price range, % off retail and Best Offer checks. Unpriced items
+ * drop out once a range or a retail saving is asked for.
+ */
+function matchesPriceFilters(item) {
+    if (state.minPrice !== null || state.maxPrice !== null) {
+        if (!(item.price > 0)) return false;
+        if (state.minPrice !== null && item.price < state.minPrice) return false;
+        if (state.maxPrice !== null && item.price > state.maxPrice) return false;
+    }
+    if (state.minPercentOff !== null) {
+        const savings = FurnitureData.getRetailSavings(item);
+        if (!savings || savings.percent < state.minPercentOff) return false;
+    }
+    return !state.bestOfferOnly || FurnitureData.acceptsOffers(item);
 }
 
 // ========================================
@@ -269,23 +747,29 @@ function applyFiltersAndSort() {
         result = result.filter(item => item.status === state.currentFilter);
     }
 
-    // Apply search filter
+    // Apply search filter, keeping the scores for the 'relevance' sort
+    state.searchScores = new Map();
     if (state.searchQuery) {
-        const query = state.searchQuery.toLowerCase();
-        result = result.filter(item => {
-            return (
-                item.name.toLowerCase().includes(query) ||
-                item.description.toLowerCase().includes(query)
-            );
-        });
+        const results = FurnitureData.searchItems(result, state.searchQuery);
+        results.forEach(({ item, score }) => state.searchScores.set(item.id, score));
+        result = results.map(({ item }) => item);
     }
 
+    // Apply price and size limits
+    result = result.filter(matchesPriceFilters);
+    result = result.filter(fitsSizeLimits);
+
+    // Facet counts combine with status, search, price and size; then apply the facets
+    renderFacets(result);
+    result = result.filter(item => FurnitureData.matchesFacets(item, state.facets));
+
     // Apply sorting
     result = sortFurniture(result, state.currentSort);
 
     state.filteredFurniture = result;
     renderFurniture();
     updateResultsCount();
+    syncUrl();
 }
 
 /**
@@ -295,12 +779,32 @@ function sortFurniture(items, method) {
     const sorted = [...items];
 
     switch (method) {
+        case 'relevance': {
+            // Best match first; without a search this is the default order
+            const score = item => state.searchScores.get(item.id) || 0;
+            return sorted.sort((a, b) => (score(b) - score(a)) || (new Date(b.dateAdded) - new Date(a.dateAdded)));
+        }
+
         case 'price-low':
             return sorted.sort((a, b) => a.price - b.price);
 
         case 'price-high':
             return sorted.sort((a, b) => b.price - a.price);
 
+        case 'price-drop': {
+            // Largest percent drop first; items without a drop keep price order
+            const dropPercent = item => (FurnitureData.getPriceDrop(item) || { percent: 0 }).percent;
+            return sorted.sort((a, b) => (dropPercent(b) - dropPercent(a)) || (b.price - a.price));
+        }
+
+        case 'savings-amount':
+        case 'savings-percent': {
+            // Biggest saving vs retail first; items without one go last, by price
+            const key = method === 'savings-amount' ? 'amount' : 'percent';
+            const saving = item => (FurnitureData.getRetailSavings(item) || { [key]: -1 })[key];
+            return sorted.sort((a, b) => (saving(b) - saving(a)) || (b.price - a.price));
+        }
+
         case 'newest':
             return sorted.sort((a, b) => new Date(b.dateAdded) - new Date(a.dateAdded));
 
@@ -319,17 +823,19 @@ function sortFurniture(items, method) {
  */
 function handleFilterClick(filterValue) {
     state.currentFilter = filterValue;
+    updateFilterButtons();
+    applyFiltersAndSort();
+}
 
-    // Update button states
+/**
+ * Mark the current status filter button as pressed
+ */
+function updateFilterButtons() {
     elements.filterButtons.forEach(btn => {
-        if (btn.dataset.filter === filterValue) {
-            btn.classList.add('active');
-        } else {
-            btn.classList.remove('active');
-        }
+        const active = btn.dataset.filter === state.currentFilter;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', active);
     });
-
-    applyFiltersAndSort();
 }
 
 /**
@@ -337,17 +843,59 @@ function handleFilterClick(filterValue) {
  */
 function handleSortChange(sortValue) {
     state.currentSort = sortValue;
+    state.sortBeforeSearch = null;
     applyFiltersAndSort();
 }
 
 /**
- * Handle search input
+ * Set the sort without re-rendering
+ */
+function setSort(sortValue) {
+    state.currentSort = sortValue;
+    elements.sortSelect.value = sortValue;
+}
+
+/**
+ * Handle search input. Starting a search sorts by best match;
+ * clearing it goes back to the sort used before.
  */
 function handleSearch(query) {
+    const hadQuery = Boolean(state.searchQuery);
     state.searchQuery = query.trim();
+
+    if (state.searchQuery && !hadQuery && state.currentSort !== 'relevance') {
+        state.sortBeforeSearch = state.currentSort;
+        setSort('relevance');
+    } else if (!state.searchQuery && state.sortBeforeSearch) {
+        setSort(state.sortBeforeSearch);
+        state.sortBeforeSearch = null;
+    }
+
     applyFiltersAndSort();
 }
 
+/**
+ * Scroll to an item's card and highlight it, clearing filters if it is hidden by them
+ */
+function showItem(itemId) {
+    let card = revealCard(itemId);
+
+    if (!card) {
+        elements.searchInput.value = '';
+        handleSearch('');
+        resetFacets();
+        handleFilterClick('all');
+        card = revealCard(itemId);
+    }
+    if (!card) return;
+
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.tabIndex = -1;
+    card.focus({ preventScroll: true });
+    card.classList.add('highlight');
+    setTimeout(() => card.classList.remove('highlight'), 2000);
+}
+
 // ========================================
 // Lightbox Functions
 // ========================================
@@ -363,13 +911,18 @@ function openLightbox(itemId, imageIndex = 0) {
         return;
     }
 
+    if (!state.lightbox.isOpen) lightboxReturnFocus = document.activeElement;
+
     state.lightbox.isOpen = true;
     state.lightbox.currentItem = item;
     state.lightbox.currentImageIndex = imageIndex;
 
+    renderLightboxFilmstrip(item);
     updateLightboxContent();
     elements.lightbox.style.display = 'block';
     document.body.style.overflow = 'hidden'; // Prevent background scrolling
+    elements.lightboxClose.focus();
+    syncUrl();
 }
 
 /**
@@ -379,9 +932,13 @@ function closeLightbox() {
     state.lightbox.isOpen = false;
     state.lightbox.currentItem = null;
     state.lightbox.currentImageIndex = 0;
+    resetZoom();
 
     elements.lightbox.style.display = 'none';
     document.body.style.overflow = ''; // Restore scrolling
+    restoreFocus(lightboxReturnFocus);
+    lightboxReturnFocus = null;
+    syncUrl();
 }
 
 /**
@@ -393,6 +950,7 @@ function previousImage() {
     const totalImages = state.lightbox.currentItem.images.length;
     state.lightbox.currentImageIndex = (state.lightbox.currentImageIndex - 1 + totalImages) % totalImages;
     updateLightboxContent();
+    syncUrl();
 }
 
 /**
@@ -404,6 +962,17 @@ function nextImage() {
     const totalImages = state.lightbox.currentItem.images.length;
     state.lightbox.currentImageIndex = (state.lightbox.currentImageIndex + 1) % totalImages;
     updateLightboxContent();
+    syncUrl();
+}
+
+/**
+ * Jump to a photo from the filmstrip
+ */
+function showLightboxImage(index) {
+    if (!state.lightbox.currentItem || index === state.lightbox.currentImageIndex) return;
+    state.lightbox.currentImageIndex = index;
+    updateLightboxContent();
+    syncUrl();
 }
 
 /**
@@ -415,74 +984,1027 @@ function updateLightboxContent() {
 
     if (!item || !item.images) return;
 
-    elements.lightboxImage.src = item.images[index];
-    elements.lightboxImage.alt = item.name;
+    resetZoom();
+    elements.lightboxImage.src = FurnitureData.getImageSrc(item.images[index]);
+    elements.lightboxImage.alt = `${item.name} - Photo ${index + 1} of ${item.images.length}`;
     elements.lightboxTitle.textContent = item.name;
+    elements.lightboxDimensions.textContent = formatItemSize(item);
+    elements.lightboxDimensions.style.display = FurnitureData.hasDimensions(item) ? '' : 'none';
     elements.lightboxCounter.textContent = `${index + 1} / ${item.images.length}`;
+    updateLightboxDetails(item);
+    updateShortlistButtons(item.id);
+    updateLightboxFilmstrip(index);
 
     // Enable/disable navigation buttons
     const totalImages = item.images.length;
     elements.lightboxPrev.disabled = totalImages <= 1;
     elements.lightboxNext.disabled = totalImages <= 1;
-}
 
-// ========================================
-// Event Listeners
-// ========================================
+    preloadLightboxNeighbors();
+}
 
 /**
- * Initialize event listeners
+ * Price, status, description and retail link in the side panel
  */
-function initEventListeners() {
-    // Filter buttons
-    elements.filterButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-            handleFilterClick(btn.dataset.filter);
-        });
-    });
+function updateLightboxDetails(item) {
+    if (!elements.lightboxPrice) return;
+    elements.lightboxPrice.innerHTML = `<span class="card-status-badge lightbox-status ${item.status}">${formatStatus(item.status)}</span>${createPriceHTML(item)}`;
+    elements.lightboxDescription.textContent = item.description || '';
+    elements.lightboxProductLink.style.display = item.productLink ? '' : 'none';
+    if (item.productLink) elements.lightboxProductLink.href = item.productLink;
+}
 
-    // Sort select
-    elements.sortSelect.addEventListener('change', (e) => {
-        handleSortChange(e.target.value);
-    });
+/**
+ * Thumbnail strip for jumping between an item's photos
+ */
+function renderLightboxFilmstrip(item) {
+    const strip = elements.lightboxFilmstrip;
+    if (!strip) return;
+
+    strip.style.display = item.images.length > 1 ? '' : 'none';
+    strip.innerHTML = item.images.map((image, index) => {
+        const full = FurnitureData.getImageSrc(image);
+        const thumb = FurnitureData.getThumbnailSrc(image) || full;
+        return `
+            <button type="button" class="lightbox-thumb" data-index="${index}" aria-label="Photo ${index + 1}">
+                <img src="${escapeHtml(thumb)}" data-full="${escapeHtml(full)}" alt="" loading="lazy" draggable="false">
+            </button>
+        `;
+    }).join('');
+}
 
-    // Search input with debounce
-    let searchTimeout;
-    elements.searchInput.addEventListener('input', (e) => {
-        clearTimeout(searchTimeout);
-        searchTimeout = setTimeout(() => {
-            handleSearch(e.target.value);
-        }, 300);
+function updateLightboxFilmstrip(index) {
+    if (!elements.lightboxFilmstrip) return;
+    elements.lightboxFilmstrip.querySelectorAll('.lightbox-thumb').forEach(thumb => {
+        const active = Number(thumb.dataset.index) === index;
+        thumb.classList.toggle('active', active);
+        thumb.setAttribute('aria-current', active);
+        if (active) thumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
     });
+}
 
-    // Lightbox controls
-    elements.lightboxClose.addEventListener('click', closeLightbox);
-    elements.lightboxOverlay.addEventListener('click', closeLightbox);
-    elements.lightboxPrev.addEventListener('click', previousImage);
-    elements.lightboxNext.addEventListener('click', nextImage);
-
-    // Keyboard navigation for lightbox
-    document.addEventListener('keydown', (e) => {
-        if (!state.lightbox.isOpen) return;
+const preloadedImages = new Set();
 
-        if (e.key === 'Escape') {
-            closeLightbox();
-        } else if (e.key === 'ArrowLeft') {
-            previousImage();
-        } else if (e.key === 'ArrowRight') {
-            nextImage();
-        }
-    });
+/**
+ * Fetch the full-size photos either side of the open one so
+ * previous/next show without a wait
+ */
+function preloadLightboxNeighbors() {
+    const item = state.lightbox.currentItem;
+    const total = item.images.length;
+    if (total <= 1) return;
 
-    // Listen for localStorage changes (for admin panel sync)
-    window.addEventListener('storage', (e) => {
-        if (e.key === 'furnitureData') {
-            console.log('Furniture data updated, reloading...');
-            loadFurnitureData();
-        }
+    const index = state.lightbox.currentImageIndex;
+    new Set([(index + 1) % total, (index - 1 + total) % total]).forEach(i => {
+        const src = FurnitureData.getImageSrc(item.images[i]);
+        if (!src || preloadedImages.has(src)) return;
+        preloadedImages.add(src);
+        new Image().src = src;
     });
 }
 
+// ========================================
+// Lightbox Zoom & Gestures
+// ========================================
+
+/*
+ * One set of pointer handlers serves touch, pen and mouse: a single pointer
+ * swipes between photos (or pans once zoomed), two fingers pinch, a double
+ * tap or double click toggles zoom, and the wheel zooms on desktop.
+ * The photo is moved with a CSS transform around its centre.
+ */
+
+const ZOOM_MAX = 4;
+const ZOOM_DOUBLE_TAP = 2.5;
+const SWIPE_DISTANCE = 50; // px
+const TAP_DISTANCE = 10; // px a tap may drift
+const DOUBLE_TAP_DELAY = 300; // ms
+
+const gesture = {
+    pointers: new Map(), // pointer ID -> { x, y }
+    start: null, // { x, y, panX, panY, scale, distance, moved }
+    pinched: false, // two fingers were down at some point in this gesture
+    lastTap: null // { x, y, time }
+};
+
+function applyZoom() {
+    const { scale, x, y } = state.lightbox.zoom;
+    elements.lightboxImage.style.transform = scale === 1 ? '' : `translate(${x}px, ${y}px) scale(${scale})`;
+    if (elements.lightboxStage) elements.lightboxStage.classList.toggle('zoomed', scale > 1);
+}
+
+function resetZoom() {
+    state.lightbox.zoom = { scale: 1, x: 0, y: 0 };
+    applyZoom();
+}
+
+/**
+ * Zoom to a scale, keeping the point under (clientX, clientY) where it is
+ */
+function zoomTo(scale, clientX, clientY) {
+    const zoom = state.lightbox.zoom;
+    const next = Math.min(ZOOM_MAX, Math.max(1, scale));
+    if (next === 1) {
+        resetZoom();
+        return;
+    }
+
+    // Point relative to the untransformed image centre
+    const rect = elements.lightboxImage.getBoundingClientRect();
+    const px = clientX - (rect.left + rect.width / 2) + zoom.x;
+    const py = clientY - (rect.top + rect.height / 2) + zoom.y;
+
+    zoom.x = px - (px - zoom.x) * next / zoom.scale;
+    zoom.y = py - (py - zoom.y) * next / zoom.scale;
+    zoom.scale = next;
+    clampPan();
+    applyZoom();
+}
+
+/**
+ * Zoom around the middle of the photo (keyboard)
+ */
+function zoomBy(factor) {
+    const rect = elements.lightboxImage.getBoundingClientRect();
+    zoomTo(state.lightbox.zoom.scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+}
+
+/**
+ * Stop panning once an edge of the zoomed photo reaches the edge of its box
+ */
+function clampPan() {
+    const zoom = state.lightbox.zoom;
+    const maxX = elements.lightboxImage.offsetWidth * (zoom.scale - 1) / 2;
+    const maxY = elements.lightboxImage.offsetHeight * (zoom.scale - 1) / 2;
+    zoom.x = Math.min(maxX, Math.max(-maxX, zoom.x));
+    zoom.y = Math.min(maxY, Math.max(-maxY, zoom.y));
+}
+
+function getGestureCenter(points) {
+    return {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+}
+
+/**
+ * Start (or restart, when a finger is added or lifted) a gesture from the current pointers
+ */
+function startGesture() {
+    const points = [...gesture.pointers.values()];
+    const zoom = state.lightbox.zoom;
+    if (points.length > 1) gesture.pinched = true;
+
+    gesture.start = {
+        ...getGestureCenter(points),
+        panX: zoom.x,
+        panY: zoom.y,
+        scale: zoom.scale,
+        distance: points.length > 1 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : 0,
+        moved: false
+    };
+    elements.lightboxStage.classList.add('dragging');
+}
+
+function handleStagePointerDown(e) {
+    if (e.button > 0 || e.target.closest('button')) return;
+    e.preventDefault();
+    elements.lightboxStage.setPointerCapture(e.pointerId);
+    gesture.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    startGesture();
+}
+
+function handleStagePointerMove(e) {
+    if (!gesture.pointers.has(e.pointerId)) return;
+    gesture.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    const points = [...gesture.pointers.values()];
+    const start = gesture.start;
+    const zoom = state.lightbox.zoom;
+
+    if (points.length > 1) {
+        const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+        const center = getGestureCenter(points);
+        if (start.distance) zoomTo(start.scale * distance / start.distance, center.x, center.y);
+        return;
+    }
+
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    if (Math.hypot(dx, dy) > TAP_DISTANCE) start.moved = true;
+
+    if (zoom.scale > 1) {
+        zoom.x = start.panX + dx;
+        zoom.y = start.panY + dy;
+        clampPan();
+        applyZoom();
+    } else if (!gesture.pinched) {
+        // Let the photo follow a swipe
+        elements.lightboxImage.style.transform = `translateX(${dx}px)`;
+    }
+}
+
+function handleStagePointerUp(e) {
+    if (!gesture.pointers.has(e.pointerId)) return;
+    gesture.pointers.delete(e.pointerId);
+
+    // Keep panning with the finger that is still down
+    if (gesture.pointers.size > 0) {
+        startGesture();
+        return;
+    }
+
+    const start = gesture.start;
+    const pinched = gesture.pinched;
+    gesture.pinched = false;
+    elements.lightboxStage.classList.remove('dragging');
+    applyZoom(); // drops any swipe offset
+
+    if (pinched || e.type === 'pointercancel') return;
+
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    if (!start.moved) {
+        handleStageTap(e.clientX, e.clientY);
+    } else if (state.lightbox.zoom.scale === 1 && Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        if (dx < 0) nextImage();
+        else previousImage();
+    }
+}
+
+/**
+ * A second tap close to the first toggles zoom
+ */
+function handleStageTap(x, y) {
+    const last = gesture.lastTap;
+    const now = Date.now();
+
+    if (last && now - last.time < DOUBLE_TAP_DELAY && Math.hypot(x - last.x, y - last.y) < TAP_DISTANCE * 3) {
+        gesture.lastTap = null;
+        if (state.lightbox.zoom.scale > 1) resetZoom();
+        else zoomTo(ZOOM_DOUBLE_TAP, x, y);
+    } else {
+        gesture.lastTap = { x, y, time: now };
+    }
+}
+
+function handleStageWheel(e) {
+    e.preventDefault();
+    const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // lines -> px
+    zoomTo(state.lightbox.zoom.scale * Math.exp(-delta * 0.002), e.clientX, e.clientY);
+}
+
+// ========================================
+// Shortlist
+// ========================================
+
+/*
+ * Items the buyer saved, kept in this browser as [{ id, name, price, addedAt }].
+ * Name and price are copied so an item that is later hidden or removed
+ * can still be shown in the list.
+ */
+
+const SHORTLIST_KEY = 'furniture_shortlist';
+
+function loadShortlist() {
+    try {
+        const list = JSON.parse(localStorage.getItem(SHORTLIST_KEY));
+        return Array.isArray(list) ? list : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveShortlist(list) {
+    localStorage.setItem(SHORTLIST_KEY, JSON.stringify(list));
+}
+
+function isShortlisted(itemId) {
+    return loadShortlist().some(entry => entry.id === itemId);
+}
+
+/**
+ * Heart toggle for a card
+ */
+function createShortlistButtonHTML(item) {
+    const saved = isShortlisted(item.id);
+    return `<button type="button" class="shortlist-toggle card-shortlist ${saved ? 'active' : ''}" data-action="shortlist" data-item-id="${item.id}" aria-pressed="${saved}" aria-label="Save ${escapeHtml(item.name)} to shortlist" title="${saved ? 'Remove from shortlist' : 'Save to shortlist'}">
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path></svg>
+    </button>`;
+}
+
+/**
+ * Add an item to the shortlist or take it off
+ */
+function toggleShortlist(itemId) {
+    const list = loadShortlist();
+    const index = list.findIndex(entry => entry.id === itemId);
+    let message;
+    if (index >= 0) {
+        const [removed] = list.splice(index, 1);
+        message = `Removed ${removed.name} from your shortlist`;
+    } else {
+        const item = state.furniture.find(i => i.id === itemId);
+        if (!item) return;
+        list.push({ id: item.id, name: item.name, price: item.price, addedAt: new Date().toISOString() });
+        message = `Saved ${item.name} to your shortlist`;
+    }
+    saveShortlist(list);
+    announce(message);
+    updateShortlistButtons(itemId);
+    renderShortlist();
+}
+
+/**
+ * Sync the heart toggles for an item on its card and in the lightbox
+ */
+function updateShortlistButtons(itemId) {
+    const saved = isShortlisted(itemId);
+    const cached = cardCache.get(itemId);
+    const buttons = cached ? cached.card.querySelectorAll('.card-shortlist') : [];
+    buttons.forEach(button => {
+        button.classList.toggle('active', saved);
+        button.setAttribute('aria-pressed', saved);
+        button.title = saved ? 'Remove from shortlist' : 'Save to shortlist';
+    });
+    const lightboxItem = state.lightbox.currentItem;
+    if (elements.lightboxShortlist && lightboxItem && lightboxItem.id === itemId) {
+        elements.lightboxShortlist.classList.toggle('active', saved);
+        elements.lightboxShortlist.setAttribute('aria-pressed', saved);
+        elements.lightboxShortlist.querySelector('span').textContent = saved ? 'On your shortlist' : 'Save to shortlist';
+    }
+}
+
+/**
+ * Shortlist entries joined with the current catalog. Items that were
+ * sold or taken off the site are flagged and left out of the total.
+ */
+function getShortlistEntries() {
+    return loadShortlist().map(entry => {
+        const item = state.furniture.find(i => i.id === entry.id);
+        let flag = null;
+        if (!item) flag = 'No longer listed';
+        else if (item.status === 'sold') flag = 'Sold';
+        else if (item.status === 'pending') flag = 'Pending';
+        return {
+            id: entry.id,
+            name: item ? item.name : entry.name,
+            price: item ? item.price : entry.price,
+            bestOffer: item ? item.bestOffer : false,
+            flag,
+            unavailable: flag === 'No longer listed' || flag === 'Sold'
+        };
+    });
+}
+
+/**
+ * Link that opens an item on this page
+ */
+function getItemLink(itemId) {
+    return `${location.href.split('#')[0]}#/item/${encodeURIComponent(itemId)}`;
+}
+
+/**
+ * mailto: link to the seller listing the available shortlisted items
+ */
+function buildInquiryMailto(entries) {
+    const address = elements.contactEmail ? elements.contactEmail.getAttribute('href').replace(/^mailto:/, '') : '';
+    const available = entries.filter(entry => !entry.unavailable);
+    const lines = available.map(entry => {
+        const price = entry.price > 0 ? `$${entry.price.toLocaleString()}${entry.bestOffer ? ' or best offer' : ''}` : 'Best offer';
+        return `- ${entry.name} (${entry.id}) - ${price}\n  ${getItemLink(entry.id)}`;
+    });
+    const total = available.reduce((sum, entry) => sum + (entry.price > 0 ? entry.price : 0), 0);
+    const body = [
+        'Hi,',
+        '',
+        `I'm interested in ${available.length === 1 ? 'this item' : `these ${available.length} items`}:`,
+        '',
+        ...lines,
+        '',
+        `Total asking: $${total.toLocaleString()}`,
+        '',
+        'When could I come by to see them?',
+        ''
+    ].join('\n');
+    const subject = `Furniture inquiry: ${available.length} item${available.length !== 1 ? 's' : ''}`;
+    return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+/**
+ * Render the floating button and the drawer contents
+ */
+function renderShortlist() {
+    if (!elements.shortlistDrawer) return;
+    const entries = getShortlistEntries();
+
+    const offers = loadOffers();
+    elements.shortlistButton.style.display = entries.length > 0 || offers.length > 0 ? '' : 'none';
+    elements.shortlistCount.textContent = `(${entries.length})${offers.length > 0 ? ` \u00b7 ${offers.length} offer${offers.length !== 1 ? 's' : ''}` : ''}`;
+    if (entries.length === 0 && offers.length === 0) closeShortlist();
+    renderOffers(offers);
+
+    elements.shortlistItems.innerHTML = entries.map(entry => `
+        <li class="shortlist-item ${entry.unavailable ? 'unavailable' : ''}">
+            <a href="#/item/${encodeURIComponent(entry.id)}" class="shortlist-name" data-action="show-item" data-item-id="${entry.id}">${escapeHtml(entry.name)}</a>
+            ${entry.flag ? `<span class="shortlist-flag">${entry.flag}</span>` : ''}
+            <span class="shortlist-price">${entry.price > 0 ? `$${entry.price.toLocaleString()}` : 'Best offer'}</span>
+            <button type="button" class="shortlist-remove" data-action="shortlist" data-item-id="${entry.id}" aria-label="Remove ${escapeHtml(entry.name)}">&times;</button>
+        </li>
+    `).join('');
+
+    const available = entries.filter(entry => !entry.unavailable);
+    const total = available.reduce((sum, entry) => sum + (entry.price > 0 ? entry.price : 0), 0);
+    const unpriced = available.filter(entry => !(entry.price > 0)).length;
+    elements.shortlistTotal.textContent = `Total asking: $${total.toLocaleString()}${unpriced > 0 ? ` + ${unpriced} best offer` : ''}`;
+
+    elements.shortlistInquiry.href = buildInquiryMailto(entries);
+    elements.shortlistInquiry.parentElement.style.display = entries.length > 0 ? '' : 'none';
+    elements.shortlistInquiry.classList.toggle('disabled', available.length === 0);
+}
+
+function openShortlist() {
+    renderShortlist();
+    elements.shortlistDrawer.classList.add('open');
+}
+
+function closeShortlist() {
+    elements.shortlistDrawer.classList.remove('open');
+}
+
+/**
+ * Empty the shortlist and reset the hearts
+ */
+function clearShortlist() {
+    const ids = loadShortlist().map(entry => entry.id);
+    saveShortlist([]);
+    ids.forEach(updateShortlistButtons);
+    renderShortlist();
+}
+
+// ========================================
+// Offers
+// ========================================
+
+/*
+ * Offers the buyer sent from this browser, newest last:
+ * [{ itemId, itemName, askingPrice, amount, name, contact, pickup, channel, date }]
+ */
+
+const OFFERS_KEY = 'furniture_offers';
+
+function loadOffers() {
+    try {
+        const offers = JSON.parse(localStorage.getItem(OFFERS_KEY));
+        return Array.isArray(offers) ? offers : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveOffers(offers) {
+    localStorage.setItem(OFFERS_KEY, JSON.stringify(offers));
+}
+
+/**
+ * The buyer's latest offer on an item, if any
+ */
+function getLatestOffer(itemId) {
+    return loadOffers().filter(offer => offer.itemId === itemId).pop() || null;
+}
+
+/**
+ * "Make an offer" button and the buyer's last offer for a card
+ */
+function createOfferHTML(item) {
+    const offer = getLatestOffer(item.id);
+    const note = offer
+        ? `<p class="card-offer-note">You offered $${offer.amount.toLocaleString()} on ${new Date(offer.date).toLocaleDateString()}</p>`
+        : '';
+    const button = FurnitureData.acceptsOffers(item)
+        ? `<button type="button" class="card-offer-btn" data-action="offer">${offer ? 'Make another offer' : 'Make an offer'}</button>`
+        : '';
+    return button || note ? `<div class="card-offer">${note}${button}</div>` : '';
+}
+
+/**
+ * List the buyer's offers in the shortlist drawer; offers on items
+ * that were sold or taken down are flagged
+ */
+function renderOffers(offers) {
+    if (!elements.offersSection) return;
+    elements.offersSection.style.display = offers.length > 0 ? '' : 'none';
+    elements.offersList.innerHTML = offers.slice().reverse().map(offer => {
+        const item = state.furniture.find(i => i.id === offer.itemId);
+        const flag = !item ? 'No longer listed' : (item.status === 'sold' ? 'Sold' : null);
+        return `
+            <li class="shortlist-item ${flag ? 'unavailable' : ''}">
+                <a href="#/item/${encodeURIComponent(offer.itemId)}" class="shortlist-name" data-action="show-item" data-item-id="${offer.itemId}">${escapeHtml(item ? item.name : offer.itemName)}</a>
+                ${flag ? `<span class="shortlist-flag">${flag}</span>` : ''}
+                <span class="shortlist-price">$${offer.amount.toLocaleString()}</span>
+                <small class="offer-date">${new Date(offer.date).toLocaleDateString()}</small>
+            </li>
+        `;
+    }).join('');
+}
+
+let offerItemId = null;
+let offerReturnFocus = null;
+
+/**
+ * Open the offer form for an item, prefilled with the buyer's last details
+ */
+function openOfferDialog(itemId) {
+    const item = state.furniture.find(i => i.id === itemId);
+    if (!item || !elements.offerDialog) return;
+    offerItemId = itemId;
+
+    const last = loadOffers().pop();
+    elements.offerItem.textContent = item.price > 0
+        ? `${item.name} \u2014 asking $${item.price.toLocaleString()}`
+        : `${item.name} \u2014 best offer`;
+    elements.offerAmount.value = '';
+    elements.offerName.value = last ? last.name : '';
+    elements.offerContact.value = last ? last.contact : '';
+    elements.offerPickup.value = last ? last.pickup : '';
+    elements.offerMessages.innerHTML = '';
+    offerReturnFocus = document.activeElement;
+    elements.offerDialog.style.display = 'flex';
+    elements.offerAmount.focus();
+}
+
+function closeOfferDialog() {
+    offerItemId = null;
+    if (elements.offerDialog) elements.offerDialog.style.display = 'none';
+    restoreFocus(offerReturnFocus);
+    offerReturnFocus = null;
+}
+
+/**
+ * Validate the form; shows problems and warnings under the amount
+ * @returns {Array<string>} Errors that block sending
+ */
+function checkOfferForm() {
+    const item = state.furniture.find(i => i.id === offerItemId);
+    if (!item) return ['This item is no longer listed'];
+    const { errors, warnings } = FurnitureData.validateOffer(item, parseFloat(elements.offerAmount.value));
+    if (!elements.offerName.value.trim()) errors.push('Enter your name');
+    if (!elements.offerContact.value.trim()) errors.push('Enter an email or phone number so the seller can reply');
+
+    elements.offerMessages.innerHTML = [
+        ...errors.map(message => `<li class="offer-error">${escapeHtml(message)}</li>`),
+        ...warnings.map(message => `<li class="offer-warning">${escapeHtml(message)}</li>`)
+    ].join('');
+    return errors;
+}
+
+/**
+ * Message text for an offer
+ */
+function buildOfferMessage(item, offer) {
+    return [
+        `Hi, I'd like to offer $${offer.amount.toLocaleString()} for "${item.name}" (${item.id})${item.price > 0 ? `, listed at $${item.price.toLocaleString()}` : ''}.`,
+        getItemLink(item.id),
+        offer.pickup ? `Pickup: ${offer.pickup}` : '',
+        `${offer.name} \u2014 ${offer.contact}`
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Store the offer and hand it to the buyer's mail or messages app
+ */
+function sendOffer(channel) {
+    if (checkOfferForm().length > 0) return;
+    const item = state.furniture.find(i => i.id === offerItemId);
+    const offer = {
+        itemId: item.id,
+        itemName: item.name,
+        askingPrice: item.price,
+        amount: parseFloat(elements.offerAmount.value),
+        name: elements.offerName.value.trim(),
+        contact: elements.offerContact.value.trim(),
+        pickup: elements.offerPickup.value.trim(),
+        channel,
+        date: new Date().toISOString()
+    };
+    const body = encodeURIComponent(buildOfferMessage(item, offer));
+    const href = channel === 'sms'
+        ? `sms:${elements.contactPhone.getAttribute('href').replace(/^tel:/, '')}?body=${body}`
+        : `mailto:${elements.contactEmail.getAttribute('href').replace(/^mailto:/, '')}?subject=${encodeURIComponent(`Offer: ${item.name}`)}&body=${body}`;
+
+    saveOffers([...loadOffers(), offer]);
+    closeOfferDialog();
+    refreshCard(item.id);
+    renderShortlist();
+    window.location.href = href;
+}
+
+/**
+ * Re-render one card in place
+ */
+function refreshCard(itemId) {
+    const cached = cardCache.get(itemId);
+    const item = state.furniture.find(i => i.id === itemId);
+    cardCache.delete(itemId);
+    if (cached && cached.card.parentNode && item) cached.card.replaceWith(getCard(item));
+}
+
+// ========================================
+// URL Routing
+// ========================================
+
+/*
+ * The hash holds the open photo and the filters, e.g.
+ *   #/item/item-012/3?status=available&sort=price-low&q=chair&room=office&w=36&unit=cm
+ * Photo numbers start at 1. Defaults are left out, so the plain grid has no hash.
+ */
+
+const DEFAULT_SORT = 'price-high';
+
+const routing = {
+    ready: false,   // the URL is left alone until the initial route is applied
+    applying: false // set while state is being restored from the URL
+};
+
+/**
+ * Build the hash for the current state
+ */
+function buildRoute() {
+    const params = new URLSearchParams();
+    if (state.currentFilter !== 'all') params.set('status', state.currentFilter);
+    if (state.currentSort !== DEFAULT_SORT) params.set('sort', state.currentSort);
+    if (state.searchQuery) params.set('q', state.searchQuery);
+    FurnitureData.FACETS.forEach(facet => {
+        state.facets[facet].forEach(value => params.append(facet, value));
+    });
+    // Sizes as typed, so they read back exactly in the same unit
+    if (state.maxWidth !== null) params.set('w', elements.maxWidthInput.value.trim());
+    if (state.maxDepth !== null) params.set('d', elements.maxDepthInput.value.trim());
+    if (state.sizeUnit !== 'in') params.set('unit', state.sizeUnit);
+    if (state.minPrice !== null) params.set('pmin', state.minPrice);
+    if (state.maxPrice !== null) params.set('pmax', state.maxPrice);
+    if (state.minPercentOff !== null) params.set('off', state.minPercentOff);
+    if (state.bestOfferOnly) params.set('bo', '1');
+
+    const path = state.lightbox.isOpen
+        ? `/item/${encodeURIComponent(state.lightbox.currentItem.id)}/${state.lightbox.currentImageIndex + 1}`
+        : '/';
+    const query = params.toString();
+    return path === '/' && !query ? '' : `#${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Split a hash into the item, photo index (from 0) and filter params
+ */
+function parseRoute(hash) {
+    const [path, query = ''] = hash.replace(/^#/, '').split('?');
+    const match = path.match(/^\/item\/([^/]+)(?:\/(\d+))?/);
+    return {
+        itemId: match ? decodeURIComponent(match[1]) : null,
+        photo: match && match[2] ? parseInt(match[2], 10) - 1 : 0,
+        params: new URLSearchParams(query)
+    };
+}
+
+/**
+ * Reflect the current state in the URL. Changing a filter or opening or
+ * closing the lightbox adds a history entry; typing in a text box or
+ * flipping through photos updates the current one.
+ */
+function syncUrl() {
+    if (!routing.ready || routing.applying) return;
+    const hash = buildRoute();
+    if (hash === location.hash) return;
+
+    const before = parseRoute(location.hash);
+    const after = parseRoute(hash);
+    const withoutEdits = (route) => {
+        const params = new URLSearchParams(route.params);
+        ['q', 'w', 'd', 'pmin', 'pmax'].forEach(key => {
+            if (before.params.has(key) && after.params.has(key)) params.delete(key);
+        });
+        return `${route.itemId}?${params}`;
+    };
+
+    const url = `${location.pathname}${location.search}${hash}`;
+    if (withoutEdits(before) === withoutEdits(after)) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+/**
+ * Set filters, sort, search and the lightbox from the URL
+ */
+function applyRoute() {
+    const { itemId, photo, params } = parseRoute(location.hash);
+    routing.applying = true;
+
+    const status = params.get('status');
+    state.currentFilter = FurnitureSchema.STATUSES.includes(status) ? status : 'all';
+    updateFilterButtons();
+
+    const sort = params.get('sort');
+    setSort([...elements.sortSelect.options].some(option => option.value === sort) ? sort : DEFAULT_SORT);
+    state.searchQuery = (params.get('q') || '').trim();
+    elements.searchInput.value = state.searchQuery;
+    // Clearing a linked search goes back to the default sort
+    state.sortBeforeSearch = state.searchQuery && state.currentSort === 'relevance' ? DEFAULT_SORT : null;
+
+    FurnitureData.FACETS.forEach(facet => {
+        state.facets[facet] = new Set(params.getAll(facet).map(value => FurnitureData.normalizeFacetValue(value)).filter(Boolean));
+    });
+    state.sizeUnit = params.get('unit') === 'cm' ? 'cm' : 'in';
+    elements.sizeUnitSelect.value = state.sizeUnit;
+    elements.maxWidthInput.value = params.get('w') || '';
+    elements.maxDepthInput.value = params.get('d') || '';
+    readSizeLimits();
+
+    const number = key => {
+        const value = parseFloat(params.get(key));
+        return isNaN(value) || value <= 0 ? null : value;
+    };
+    state.minPrice = number('pmin');
+    state.maxPrice = number('pmax');
+    state.minPercentOff = [...elements.minPercentOffSelect.options].some(option => option.value === params.get('off')) ? number('off') : null;
+    state.bestOfferOnly = params.get('bo') === '1';
+    updatePriceInputs();
+    elements.minPercentOffSelect.value = state.minPercentOff !== null ? String(state.minPercentOff) : '';
+    elements.bestOfferOnlyInput.checked = state.bestOfferOnly;
+
+    const filtered = ['w', 'd', 'pmin', 'pmax', 'off', 'bo', ...FurnitureData.FACETS];
+    if (elements.facetFilters && filtered.some(key => params.has(key))) {
+        elements.facetFilters.open = true;
+    }
+
+    applyFiltersAndSort();
+
+    const item = itemId && state.furniture.find(i => i.id === itemId);
+    if (item && item.images && item.images.length > 0) {
+        openLightbox(item.id, Math.min(Math.max(photo, 0), item.images.length - 1));
+    } else {
+        if (state.lightbox.isOpen) closeLightbox();
+        if (item) showItem(item.id);
+    }
+
+    routing.applying = false;
+
+    // Tidy the address (unknown values dropped, defaults left out) without a new entry
+    const hash = buildRoute();
+    if (hash !== location.hash) {
+        history.replaceState(null, '', `${location.pathname}${location.search}${hash}`);
+    }
+}
+
+// ========================================
+// Event Listeners
+// ========================================
+
+/**
+ * Initialize event listeners
+ */
+function initEventListeners() {
+    // Filter buttons
+    elements.filterButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            handleFilterClick(btn.dataset.filter);
+        });
+    });
+
+    // Sort select
+    elements.sortSelect.addEventListener('change', (e) => {
+        handleSortChange(e.target.value);
+    });
+
+    // Search input with debounce
+    let searchTimeout;
+    elements.searchInput.addEventListener('input', (e) => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => {
+            handleSearch(e.target.value);
+        }, 300);
+    });
+
+    // Facet chips (re-rendered on every filter change, so listen on the container)
+    if (elements.facetGroups) {
+        elements.facetGroups.addEventListener('click', (e) => {
+            const chip = e.target.closest('.facet-chip');
+            if (chip) {
+                handleFacetToggle(chip.dataset.facet, chip.dataset.value);
+            }
+        });
+        elements.facetClear.addEventListener('click', clearFacets);
+    }
+
+    // Size filter
+    let sizeTimeout;
+    [elements.maxWidthInput, elements.maxDepthInput].forEach(input => {
+        input.addEventListener('input', () => {
+            clearTimeout(sizeTimeout);
+            sizeTimeout = setTimeout(handleSizeChange, 300);
+        });
+    });
+    elements.sizeUnitSelect.addEventListener('change', (e) => {
+        handleSizeUnitChange(e.target.value);
+    });
+
+    // Price filters
+    let priceTimeout;
+    [elements.minPriceInput, elements.maxPriceInput].forEach(input => {
+        input.addEventListener('input', (e) => {
+            handlePriceRangeInput(e);
+            clearTimeout(priceTimeout);
+            priceTimeout = setTimeout(applyFiltersAndSort, 150);
+        });
+    });
+    elements.minPercentOffSelect.addEventListener('change', (e) => {
+        state.minPercentOff = e.target.value ? parseFloat(e.target.value) : null;
+        applyFiltersAndSort();
+    });
+    elements.bestOfferOnlyInput.addEventListener('change', (e) => {
+        state.bestOfferOnly = e.target.checked;
+        applyFiltersAndSort();
+    });
+
+    // Card, carousel and drawer controls
+    elements.furnitureGrid.addEventListener('click', handleActionClick);
+    elements.furnitureGrid.addEventListener('keydown', handleGridKeydown);
+    if (elements.shortlistDrawer) {
+        elements.shortlistDrawer.addEventListener('click', handleActionClick);
+    }
+
+    // Broken photos fall back to the full image, then the placeholder
+    // (error events don't bubble, so listen while capturing)
+    document.addEventListener('error', (e) => {
+        if (e.target.matches && e.target.matches('.card-image, .lightbox-image, .lightbox-thumb img')) {
+            handleImageError(e.target);
+        }
+    }, true);
+
+    // Lightbox controls
+    elements.lightboxClose.addEventListener('click', closeLightbox);
+    elements.lightboxOverlay.addEventListener('click', closeLightbox);
+    elements.lightboxPrev.addEventListener('click', previousImage);
+    elements.lightboxNext.addEventListener('click', nextImage);
+
+    // Swipe, pinch, double-tap and wheel zoom on the photo; filmstrip jumps
+    if (elements.lightboxStage) {
+        const stage = elements.lightboxStage;
+        stage.addEventListener('pointerdown', handleStagePointerDown);
+        stage.addEventListener('pointermove', handleStagePointerMove);
+        stage.addEventListener('pointerup', handleStagePointerUp);
+        stage.addEventListener('pointercancel', handleStagePointerUp);
+        stage.addEventListener('wheel', handleStageWheel, { passive: false });
+        elements.lightboxFilmstrip.addEventListener('click', (e) => {
+            const thumb = e.target.closest('.lightbox-thumb');
+            if (thumb) showLightboxImage(Number(thumb.dataset.index));
+        });
+    }
+
+    // Keyboard navigation for lightbox
+    document.addEventListener('keydown', (e) => {
+        if (!state.lightbox.isOpen) return;
+
+        trapFocus(e, elements.lightbox);
+        if (e.key === 'Escape') {
+            closeLightbox();
+        } else if (e.key === 'ArrowLeft') {
+            previousImage();
+        } else if (e.key === 'ArrowRight') {
+            nextImage();
+        } else if (e.key === '+' || e.key === '=') {
+            zoomBy(1.5);
+        } else if (e.key === '-') {
+            zoomBy(1 / 1.5);
+        } else if (e.key === '0') {
+            resetZoom();
+        }
+    });
+
+    // Shortlist
+    if (elements.shortlistDrawer) {
+        elements.shortlistButton.addEventListener('click', openShortlist);
+        elements.shortlistClose.addEventListener('click', closeShortlist);
+        elements.shortlistClearBtn.addEventListener('click', clearShortlist);
+        elements.shortlistInquiry.addEventListener('click', (e) => {
+            if (elements.shortlistInquiry.classList.contains('disabled')) e.preventDefault();
+        });
+        elements.lightboxShortlist.addEventListener('click', () => {
+            if (state.lightbox.currentItem) toggleShortlist(state.lightbox.currentItem.id);
+        });
+    }
+
+    // Offer dialog
+    if (elements.offerDialog) {
+        elements.offerForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            sendOffer(e.submitter && e.submitter.dataset.channel === 'sms' ? 'sms' : 'email');
+        });
+        elements.offerAmount.addEventListener('input', checkOfferForm);
+        elements.offerCancel.addEventListener('click', closeOfferDialog);
+        elements.offerOverlay.addEventListener('click', closeOfferDialog);
+        document.addEventListener('keydown', (e) => {
+            if (!offerItemId) return;
+            trapFocus(e, elements.offerDialog);
+            if (e.key === 'Escape') closeOfferDialog();
+        });
+    }
+
+    // Grid pages: button, plus automatic loading as it nears the viewport
+    if (elements.loadMoreButton) {
+        elements.loadMoreButton.addEventListener('click', showMoreCards);
+        if ('IntersectionObserver' in window) {
+            loadMoreObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) showMoreCards();
+            }, { rootMargin: '600px 0px' });
+            updateLoadMore();
+        }
+    }
+
+    // Print the whole list, not just the pages scrolled so far
+    window.addEventListener('beforeprint', () => {
+        state.renderLimit = Math.max(state.renderLimit, state.filteredFurniture.length);
+        renderFurniture();
+    });
+
+    // Back / forward restore filters and open or close the lightbox
+    window.addEventListener('popstate', () => {
+        if (routing.ready) applyRoute();
+    });
+
+    // Items changed in another tab (usually the admin panel)
+    FurnitureData.onItemsChanged(handleItemChanges);
+
+    window.addEventListener('storage', (e) => {
+        if (e.key === SHORTLIST_KEY || e.key === OFFERS_KEY) {
+            // Shortlist changed in another tab
+            state.furniture.forEach(item => updateShortlistButtons(item.id));
+            renderShortlist();
+        }
+    });
+}
+
+// ========================================
+// Live Updates
+// ========================================
+
+/**
+ * Apply items changed in another tab. Unchanged cards are reused by
+ * renderFurniture(), so only the affected cards are rebuilt.
+ */
+function handleItemChanges({ changes, reload }) {
+    if (reload) {
+        console.log('Furniture data cleared, reloading...');
+        loadFurnitureData();
+        return;
+    }
+
+    const statusChanges = [];
+    changes.forEach(({ id, item }) => {
+        const index = state.furniture.findIndex(i => i.id === id);
+        const listed = item && item.hidden !== true;
+
+        if (!listed) {
+            if (index !== -1) state.furniture.splice(index, 1);
+        } else if (index === -1) {
+            state.furniture.push(item);
+        } else {
+            if (state.furniture[index].status !== item.status) {
+                statusChanges.push(`${item.name} is now ${formatStatus(item.status)}`);
+            }
+            state.furniture[index] = item;
+        }
+    });
+
+    pruneCardCache();
+    initPriceRange();
+    applyFiltersAndSort();
+    renderShortlist();
+    refreshOpenLightbox();
+
+    if (statusChanges.length > 0) announce(statusChanges.join('. '));
+}
+
+/**
+ * Show the latest copy of the item in an open lightbox, or close it
+ * if the item was taken down
+ */
+function refreshOpenLightbox() {
+    const open = state.lightbox.currentItem;
+    if (!state.lightbox.isOpen || !open) return;
+
+    const item = state.furniture.find(i => i.id === open.id);
+    if (!item || !item.images || item.images.length === 0) {
+        closeLightbox();
+    } else if (item !== open) {
+        state.lightbox.currentItem = item;
+        state.lightbox.currentImageIndex = Math.min(state.lightbox.currentImageIndex, item.images.length - 1);
+        renderLightboxFilmstrip(item);
+        updateLightboxContent();
+    }
+}
+
 // ========================================
 // Initialization
 // ========================================
@@ -490,10 +2012,12 @@ function initEventListeners() {
 /**
  * Initialize the application
  */
-function init() {
+async function init() {
     console.log('Initializing Furniture Showcase...');
     initEventListeners();
-    loadFurnitureData();
+    await loadFurnitureData();
+    applyRoute();
+    routing.ready = true;
 }
 
 // Start the app when DOM is ready
@@ -504,52 +2028,207 @@ if (document.readyState === 'loading') {
 }
 
 // ========================================
-// Card Image Carousel Functions
+// Card Images
 // ========================================
 
-function scrollCardImage(itemId, direction) {
-    const carousel = document.querySelector(`.card-image-carousel[data-item-id="${itemId}"]`);
-    if (!carousel) return;
+/*
+ * Cards show the 400px thumbnail, letting the browser pick the full image
+ * on wide or high-density screens; only the lightbox always loads full size.
+ * Carousel photos after the first wait in data-src/data-srcset until shown.
+ */
 
-    const images = carousel.querySelectorAll('.card-image');
-    const dots = carousel.querySelectorAll('.dot');
-    const currentIndex = Array.from(images).findIndex(img => img.classList.contains('active'));
-    let newIndex = currentIndex + direction;
+const PLACEHOLDER_IMAGE = 'images/placeholder.jpg';
+const CARD_IMAGE_SIZES = '(min-width: 1200px) 380px, (min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw';
 
-    // Wrap around
-    if (newIndex < 0) newIndex = images.length - 1;
-    if (newIndex >= images.length) newIndex = 0;
+/**
+ * src/srcset attributes for a card photo
+ * @param {string} image - Image path or reference from the item
+ * @param {boolean} deferred - Hold the photo back until loadCardImage
+ */
+function createCardImageAttrs(image, deferred) {
+    const full = FurnitureData.getImageSrc(image);
+    const thumb = FurnitureData.getThumbnailSrc(image);
+    const srcset = FurnitureData.getImageSrcset(image);
+    const prefix = deferred ? 'data-' : '';
+
+    let attrs = `${prefix}src="${escapeHtml(thumb || full)}" data-full="${escapeHtml(full)}"`;
+    if (srcset) {
+        attrs += ` ${prefix}srcset="${escapeHtml(srcset)}" sizes="${CARD_IMAGE_SIZES}"`;
+    }
+    return `${attrs} loading="lazy"`;
+}
+
+/**
+ * Start loading a deferred carousel photo
+ */
+function loadCardImage(img) {
+    if (!img || !img.dataset.src) return;
+    if (img.dataset.srcset) {
+        img.srcset = img.dataset.srcset;
+        delete img.dataset.srcset;
+    }
+    img.src = img.dataset.src;
+    delete img.dataset.src;
+}
+
+/**
+ * Fall back from a missing thumbnail to the full image, then to the placeholder
+ */
+function handleImageError(img) {
+    const src = img.getAttribute('src');
+    if (src === PLACEHOLDER_IMAGE) return;
+
+    const full = img.dataset.full;
+    img.removeAttribute('srcset');
+    img.src = full && src !== full ? full : PLACEHOLDER_IMAGE;
+}
 
-    // Update images
-    images[currentIndex].classList.remove('active');
-    images[newIndex].classList.add('active');
+// ========================================
+// Card Image Carousel Functions
+// ========================================
 
-    // Update dots
-    dots[currentIndex].classList.remove('active');
-    dots[newIndex].classList.add('active');
+function getCarouselIndex(carousel) {
+    return Array.from(carousel.querySelectorAll('.card-image')).findIndex(img => img.classList.contains('active'));
 }
 
-function setCardImage(itemId, index) {
-    const carousel = document.querySelector(`.card-image-carousel[data-item-id="${itemId}"]`);
+function scrollCardImage(carousel, direction) {
     if (!carousel) return;
 
+    const count = carousel.querySelectorAll('.card-image').length;
+    // Wrap around
+    setCardImage(carousel, (getCarouselIndex(carousel) + direction + count) % count);
+}
+
+/**
+ * Show one photo of a card carousel; only the shown photo is focusable
+ * and exposed to screen readers
+ */
+function setCardImage(carousel, index) {
+    if (!carousel || getCarouselIndex(carousel) === index) return;
+
     const images = carousel.querySelectorAll('.card-image');
-    const dots = carousel.querySelectorAll('.dot');
-    const currentIndex = Array.from(images).findIndex(img => img.classList.contains('active'));
+    images.forEach((img, i) => {
+        const active = i === index;
+        if (active) loadCardImage(img);
+        img.classList.toggle('active', active);
+        img.tabIndex = active ? 0 : -1;
+        if (active) img.removeAttribute('aria-hidden');
+        else img.setAttribute('aria-hidden', 'true');
+    });
+    carousel.querySelectorAll('.dot').forEach((dot, i) => {
+        dot.classList.toggle('active', i === index);
+        dot.setAttribute('aria-current', i === index);
+    });
 
-    if (currentIndex === index) return;
+    announce(`Photo ${index + 1} of ${images.length}`);
+}
 
-    // Update images
-    images[currentIndex].classList.remove('active');
-    images[index].classList.add('active');
+// ========================================
+// Event Delegation & Accessibility
+// ========================================
+
+/*
+ * Cards and the shortlist drawer carry data-action attributes instead of
+ * inline handlers; one listener on each container dispatches them. The item
+ * comes from data-item-id on the control or its card.
+ */
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+let lightboxReturnFocus = null;
+let announceTimer = null;
+
+function handleActionClick(e) {
+    const target = e.target.closest('[data-action]');
+    if (!target) return;
+
+    const card = target.closest('.furniture-card');
+    const itemId = target.dataset.itemId || (card && card.dataset.itemId);
+
+    switch (target.dataset.action) {
+        case 'open-lightbox':
+            openLightbox(itemId, Number(target.dataset.index) || 0);
+            break;
+        case 'scroll-photos':
+            scrollCardImage(target.closest('.card-image-carousel'), Number(target.dataset.direction));
+            break;
+        case 'set-photo':
+            setCardImage(target.closest('.card-image-carousel'), Number(target.dataset.index));
+            break;
+        case 'shortlist':
+            toggleShortlist(itemId);
+            break;
+        case 'offer':
+            openOfferDialog(itemId);
+            break;
+        case 'show-item':
+            e.preventDefault();
+            if (target.closest('.shortlist-drawer')) closeShortlist();
+            showItem(itemId);
+            break;
+    }
+}
 
-    // Update dots
-    dots[currentIndex].classList.remove('active');
-    dots[index].classList.add('active');
+/**
+ * Enter/Space on photos that act as buttons; arrow keys inside a carousel
+ */
+function handleGridKeydown(e) {
+    const target = e.target;
+    const carousel = target.closest('.card-image-carousel');
+
+    if ((e.key === 'Enter' || e.key === ' ') && target.matches('[role="button"][data-action]')) {
+        e.preventDefault();
+        target.click();
+    } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && carousel) {
+        e.preventDefault();
+        scrollCardImage(carousel, e.key === 'ArrowLeft' ? -1 : 1);
+        // Follow the photo with focus when it was on the photo or a dot
+        if (target.classList.contains('card-image')) carousel.querySelector('.card-image.active').focus();
+        else if (target.classList.contains('dot')) carousel.querySelector('.dot.active').focus();
+    }
 }
 
-// Expose functions to global scope for inline event handlers
-window.openLightbox = openLightbox;
-window.closeLightbox = closeLightbox;
-window.scrollCardImage = scrollCardImage;
-window.setCardImage = setCardImage;
+/**
+ * Keep Tab and Shift+Tab inside an open dialog
+ */
+function trapFocus(e, container) {
+    if (e.key !== 'Tab') return;
+
+    const focusable = [...container.querySelectorAll(FOCUSABLE)].filter(el => el.offsetParent !== null);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const outside = !container.contains(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || outside)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || outside)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Return focus to whatever opened a dialog, if it is still on the page
+ */
+function restoreFocus(element) {
+    if (element && element.isConnected && typeof element.focus === 'function') {
+        element.focus();
+    }
+}
+
+/**
+ * Read a message through the polite live region
+ * @param {string} message
+ * @param {number} [delay=0] - ms to wait; a newer message replaces a pending one
+ */
+function announce(message, delay = 0) {
+    if (!elements.announcer) return;
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+        // Screen readers skip a repeat of the same text, so vary it slightly
+        elements.announcer.textContent = elements.announcer.textContent === message ? `${message}\u00a0` : message;
+    }, delay);
+}
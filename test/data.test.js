@@ -0,0 +1,277 @@
+/**
+ * FurnitureData tests against the memory and file storage adapters.
+ * Run with: node test/data.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FurnitureData = require('../js/data.js');
+const { StorageAdapters, FurnitureSchema } = FurnitureData;
+
+const PUBLISHED_FILE = path.join(__dirname, '..', 'data', 'furniture.json');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+/**
+ * A complete item that passes FurnitureSchema validation
+ */
+function makeItem(id, overrides = {}) {
+  return {
+    id,
+    name: `Item ${id}`,
+    description: 'A test item',
+    price: 100,
+    bestOffer: false,
+    retailPrice: null,
+    productLink: null,
+    status: 'available',
+    images: [],
+    dateAdded: '2025-01-01T00:00:00.000Z',
+    hidden: false,
+    ...overrides
+  };
+}
+
+/**
+ * Copy furniture.json into a fresh temp directory
+ * @returns {{dir: string, file: string}}
+ */
+function copyPublished() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'furniture-test-'));
+  const file = path.join(dir, 'furniture.json');
+  fs.copyFileSync(PUBLISHED_FILE, file);
+  return { dir, file };
+}
+
+// ══════════════════════════════════════════════════════════════
+// MEMORY ADAPTER
+// ══════════════════════════════════════════════════════════════
+
+test('memory: add, update and delete an item', async () => {
+  FurnitureData.useAdapter(StorageAdapters.memory({ items: [makeItem('a')] }));
+
+  assert.ok(await FurnitureData.addItem(makeItem('b', { name: 'Oak Dining Table' })));
+  assert.deepStrictEqual((await FurnitureData.loadItems()).map(item => item.id), ['a', 'b']);
+
+  const b = await FurnitureData.getItemById('b');
+  assert.ok(await FurnitureData.updateItem('b', { ...b, price: 80 }));
+  assert.strictEqual((await FurnitureData.getItemById('b')).price, 80);
+
+  assert.ok(await FurnitureData.deleteItem('a'));
+  assert.deepStrictEqual((await FurnitureData.loadItems()).map(item => item.id), ['b']);
+  assert.deepStrictEqual((await FurnitureData.loadTrash()).map(item => item.id), ['a']);
+});
+
+test('memory: updating a missing item fails', async () => {
+  FurnitureData.useAdapter(StorageAdapters.memory({ items: [makeItem('a')] }));
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.strictEqual(await FurnitureData.updateItem('missing', makeItem('missing')), false);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('memory: search ranks name matches and skips trashed items', async () => {
+  FurnitureData.useAdapter(StorageAdapters.memory({
+    items: [
+      makeItem('a', { name: 'Leather Sofa', description: 'Brown' }),
+      makeItem('b', { name: 'Side Table', description: 'Goes well with a sofa' }),
+      makeItem('c', { name: 'Desk Lamp' })
+    ]
+  }));
+
+  assert.deepStrictEqual((await FurnitureData.search('sofa')).map(item => item.id), ['a', 'b']);
+  await FurnitureData.deleteItem('a');
+  assert.deepStrictEqual((await FurnitureData.search('sofa')).map(item => item.id), ['b']);
+});
+
+test('search: one typo from 4 letters, and the last word matches as typed', () => {
+  const items = [
+    makeItem('a', { name: 'Walnut Desk', description: 'Item in good shape' }),
+    makeItem('b', { name: 'Leather Sofa', description: 'Comfortable item' }),
+    makeItem('c', { name: 'Bed Frame' })
+  ];
+  const ids = query => FurnitureData.searchItems(items, query).map(result => result.item.id).sort();
+
+  assert.deepStrictEqual(ids('dsek'), ['a']);
+  assert.deepStrictEqual(ids('sofs'), ['b']);
+  assert.deepStrictEqual(ids('itm c'), ['b']);
+  assert.deepStrictEqual(ids('w'), ['a']);
+  // A short word that is not the last one must match whole or as a 3-letter prefix
+  assert.deepStrictEqual(ids('be frame'), []);
+});
+
+test('search: only known field names followed by a colon are filters', () => {
+  const link = FurnitureData.parseItemQuery('http://example.com/desk note:oak');
+  assert.deepStrictEqual(link.tests, []);
+  assert.deepStrictEqual(link.errors, []);
+  assert.strictEqual(link.text, 'http://example.com/desk note:oak');
+
+  const filtered = FurnitureData.parseItemQuery('status:sold desk');
+  assert.strictEqual(filtered.tests.length, 1);
+  assert.strictEqual(filtered.text, 'desk');
+});
+
+// ══════════════════════════════════════════════════════════════
+// FILE ADAPTER
+// ══════════════════════════════════════════════════════════════
+
+test('file: changes round-trip through furniture.json', async () => {
+  const { dir, file } = copyPublished();
+  try {
+    FurnitureData.useAdapter(StorageAdapters.file(file));
+    const items = await FurnitureData.init();
+    assert.ok(items.length > 0);
+    const [first, second] = items;
+
+    await FurnitureData.updateItem(first.id, { ...first, price: 12345 });
+    await FurnitureData.addItem(makeItem('item-test'));
+    await FurnitureData.deleteItem(second.id);
+
+    // A fresh adapter only sees what was written to disk
+    FurnitureData.useAdapter(StorageAdapters.file(file));
+    const reloaded = await FurnitureData.loadItems();
+    assert.strictEqual(reloaded.find(item => item.id === first.id).price, 12345);
+    assert.ok(reloaded.some(item => item.id === 'item-test'));
+    assert.ok(!reloaded.some(item => item.id === second.id));
+    assert.deepStrictEqual((await FurnitureData.loadTrash()).map(item => item.id), [second.id]);
+
+    const published = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(published.items.length, items.length);
+    assert.ok(published.items.every(item => !item.deletedAt));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('file: the trash sidecar exists only while the trash has items', async () => {
+  const { dir, file } = copyPublished();
+  const trashFile = path.join(dir, 'furniture.trash.json');
+  try {
+    FurnitureData.useAdapter(StorageAdapters.file(file));
+    const [first] = await FurnitureData.init();
+    await FurnitureData.updateItem(first.id, { ...first, price: 1 });
+    assert.ok(!fs.existsSync(trashFile));
+
+    await FurnitureData.deleteItem(first.id);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(trashFile, 'utf8')).items.map(item => item.id), [first.id]);
+
+    await FurnitureData.restoreItem(first.id);
+    assert.ok(!fs.existsSync(trashFile));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ══════════════════════════════════════════════════════════════
+// SYNC & MIGRATION
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Memory storage synced at version 1 with `base`, holding `local`,
+ * and `remote` published as version 2
+ */
+async function useSyncedMemory({ base, local, remote, withBase = true }) {
+  FurnitureData.useAdapter(StorageAdapters.memory({ items: local, published: { version: 2, items: remote } }));
+  await FurnitureData.setStoredVersion(1);
+  if (withBase) await FurnitureData.saveBase(base);
+}
+
+test('sync: a price edited differently on both sides is stored as a conflict', async () => {
+  const base = [makeItem('a'), makeItem('b')];
+  await useSyncedMemory({
+    base,
+    local: [makeItem('a', { price: 80 }), makeItem('b')],
+    remote: [makeItem('a', { price: 90 }), makeItem('b', { name: 'Renamed' })]
+  });
+
+  await FurnitureData.init();
+  const conflicts = await FurnitureData.loadConflicts();
+  assert.strictEqual(conflicts.length, 1);
+  assert.deepStrictEqual(
+    { id: conflicts[0].id, field: conflicts[0].field, local: conflicts[0].local, remote: conflicts[0].remote },
+    { id: 'a', field: 'price', local: 80, remote: 90 }
+  );
+  // The local value stays until the conflict is resolved; other changes merge
+  assert.strictEqual((await FurnitureData.getItemById('a')).price, 80);
+  assert.strictEqual((await FurnitureData.getItemById('b')).name, 'Renamed');
+  assert.strictEqual(await FurnitureData.getStoredVersion(), 2);
+});
+
+test('sync: a trashed item stays in the trash, with or without a base snapshot', async () => {
+  for (const withBase of [true, false]) {
+    const items = [makeItem('a'), makeItem('b')];
+    await useSyncedMemory({ base: items, local: items, remote: [makeItem('a', { name: 'Renamed' }), makeItem('b')], withBase });
+    await FurnitureData.deleteItem('a');
+
+    await FurnitureData.init();
+    const trash = await FurnitureData.loadTrash();
+    assert.deepStrictEqual(trash.map(item => item.id), ['a'], `withBase: ${withBase}`);
+    assert.strictEqual(trash[0].name, 'Renamed', `withBase: ${withBase}`);
+    assert.deepStrictEqual((await FurnitureData.loadItems()).map(item => item.id), ['b'], `withBase: ${withBase}`);
+  }
+});
+
+test('migration: a v1 file is upgraded to schemaVersion 2 once', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'furniture-test-'));
+  const file = path.join(dir, 'furniture.json');
+  try {
+    const v1Item = { id: 'old', name: 'Old Chair', price: '40', status: 'available', images: ['images/full/old.jpg'], thumbnails: ['x'], dateUpdated: '2024-05-01T00:00:00.000Z' };
+    fs.writeFileSync(file, JSON.stringify({ version: 3, items: [v1Item] }));
+
+    FurnitureData.useAdapter(StorageAdapters.file(file));
+    const [item] = await FurnitureData.loadItems();
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(data.schemaVersion, 2);
+    assert.strictEqual(data.version, 3);
+    assert.deepStrictEqual(FurnitureSchema.validateItem(item), []);
+    assert.strictEqual(item.price, 40);
+    assert.strictEqual(item.bestOffer, false);
+    assert.strictEqual(item.retailPrice, null);
+    assert.strictEqual(item.dateAdded, '2024-05-01T00:00:00.000Z');
+    assert.ok(!('thumbnails' in item));
+
+    // Already at v2: a new process leaves the file alone
+    const written = fs.statSync(file).mtimeMs;
+    FurnitureData.useAdapter(StorageAdapters.file(file));
+    await FurnitureData.loadItems();
+    assert.strictEqual(fs.statSync(file).mtimeMs, written);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ══════════════════════════════════════════════════════════════
+// CSV
+// ══════════════════════════════════════════════════════════════
+
+test('csv: images stored only in this browser are left out of the export', () => {
+  const item = makeItem('a', { images: ['images/full/a.jpg', `${FurnitureData.IMAGE_PREFIX}abc`, 'data:image/png;base64,AAAA'] });
+  const [header, row] = FurnitureData.parseCsv(FurnitureData.itemsToCsv([item]));
+  assert.strictEqual(row[header.indexOf('images')], 'images/full/a.jpg');
+});
+
+// ══════════════════════════════════════════════════════════════
+// RUNNER
+// ══════════════════════════════════════════════════════════════
+
+(async () => {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`  ✗ ${name}`);
+      console.log(error);
+    }
+  }
+  console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+})();